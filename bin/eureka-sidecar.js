@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/*
+  Runs a Sidecar for a co-located application. Configuration is read from
+  eureka-client.yml and eureka-client-<NODE_ENV>.yml in the given directory,
+  or in the working directory.
+
+    eureka-sidecar [config directory]
+*/
+'use strict';
+
+const path = require('path');
+const Sidecar = require('../lib/Sidecar').default;
+
+const sidecar = new Sidecar({ cwd: path.resolve(process.argv[2] || process.cwd()) });
+sidecar.start((error) => {
+  if (error) {
+    console.error('Unable to start the Eureka sidecar', error);
+    process.exit(1);
+  }
+});
@@ -1,20 +1,49 @@
 import request from 'request';
 import fs from 'fs';
 import yaml from 'js-yaml';
-import { merge, findIndex } from 'lodash';
-import { normalizeDelta, findInstance } from './deltaUtils';
+import { merge } from 'lodash';
+import {
+  arrayOrObj, normalizeDelta, splitVipAddress, instanceKey, indexInstances, indexCachedInstances,
+  diffRegistry,
+  computeHashCode, parseHashCode, zoneToRegion, hasModifiedInstances,
+} from './deltaUtils';
 import path from 'path';
-import { series, waterfall } from 'async';
-import { EventEmitter } from 'events';
+import url from 'url';
+import { series, waterfall, parallel, eachSeries } from 'async';
+import { toPromise, fromCallbackOrPromise, toAsyncIterator } from './promiseUtils';
+import { parseServiceUrl, instanceBaseUrl, portValue } from './serviceUrlUtils';
+import { SCHEDULE_JITTER, repeat, backoff, withTimeout } from './timerUtils';
 
 import AwsMetadata from './AwsMetadata';
 import ConfigClusterResolver from './ConfigClusterResolver';
 import DnsClusterResolver from './DnsClusterResolver';
+import HealthChecks from './HealthChecks';
+import InstanceRegistration from './InstanceRegistration';
+import LoadBalancer from './LoadBalancer';
+import OutlierDetector from './OutlierDetector';
+import Registration from './Registration';
+import RegistryCache from './RegistryCache';
 import Logger from './Logger';
 import defaultConfig from './defaultConfig';
 
 function noop() {}
 
+function availabilityZone(instance) {
+  const { dataCenterInfo } = instance;
+  const metadata = dataCenterInfo ? dataCenterInfo.metadata : undefined;
+  return metadata ? metadata['availability-zone'] : undefined;
+}
+
+
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+const SHUTDOWN_STRATEGIES = ['deregister', 'outOfService'];
+// Filters accepted by queryInstances:
+const QUERY_FILTERS = [
+  'app', 'vip', 'svip', 'status', 'zone', 'region', 'metadata', 'dataCenter', 'port', 'securePort',
+];
+// Requests with these methods are retried on another instance when they fail:
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
 /*
   Eureka JS client
   This module handles registration with a Eureka server, as well as heartbeats
@@ -43,7 +72,7 @@ function getYaml(file) {
   return yml;
 }
 
-export default class Eureka extends EventEmitter {
+export default class Eureka extends Registration {
 
   constructor(config = {}) {
     super();
@@ -68,9 +97,24 @@ export default class Eureka extends EventEmitter {
     // Validate the provided the values we need:
     this.validateConfig(this.config);
 
+    // Tell the Eureka server how often to expect heartbeats:
+    const { heartbeatInterval, leaseDuration } = this.config.eureka;
+    this.config.instance.leaseInfo = merge({
+      renewalIntervalInSecs: Math.ceil(heartbeatInterval / 1000),
+      durationInSecs: Math.ceil(leaseDuration / 1000),
+    }, this.config.instance.leaseInfo);
+
     this.requestMiddleware = this.config.requestMiddleware;
 
     this.hasFullRegistry = false;
+    this.hashCodeMismatches = 0;
+    this.registryStale = false;
+    this.pendingSnapshots = [];
+    this.registryVersion = 0;
+
+    this.shutdownHooks = [];
+    this.signalHandlers = {};
+    this.registrations = [];
 
     if (this.amazonDataCenter) {
       this.metadataClient = new AwsMetadata({
@@ -84,10 +128,12 @@ export default class Eureka extends EventEmitter {
       this.clusterResolver = new ConfigClusterResolver(this.config, this.logger);
     }
 
-    this.cache = {
-      app: {},
-      vip: {},
-    };
+    this.healthChecks = new HealthChecks(this.logger, this.config.eureka.healthCheckTimeout);
+
+    this.outlierDetector = new OutlierDetector(this.config, this.logger);
+    this.loadBalancer = new LoadBalancer(this.config, this.logger, this.outlierDetector);
+
+    this.cache = new RegistryCache();
   }
 
   /*
@@ -103,6 +149,17 @@ export default class Eureka extends EventEmitter {
     return this.config.instance.hostName;
   }
 
+  /*
+    The client's own instance, registered through Registration.
+  */
+  get instance() {
+    return this.config.instance;
+  }
+
+  get registersWithEureka() {
+    return this.config.eureka.registerWithEureka;
+  }
+
   /*
     Helper method to determine if this is an AWS datacenter.
   */
@@ -117,9 +174,22 @@ export default class Eureka extends EventEmitter {
 
   /*
     Registers instance with Eureka, begins heartbeats, and fetches registry.
+    If the client registered as STARTING but then fails to start, it is
+    stopped again, so that the instance does not stay registered as STARTING.
+    Returns a Promise if no callback is provided.
   */
-  start(callback = noop) {
+  start(callback) {
+    if (!callback) return toPromise(done => this.start(done));
+    this.stopped = false;
+    if (this.config.eureka.handleShutdownSignals) this.handleShutdownSignals();
+    let registeredAsStarting = false;
     series([
+      done => {
+        if (this.config.eureka.fetchRegistry && this.config.eureka.registryCacheFile) {
+          return this.loadRegistrySnapshot(done);
+        }
+        done();
+      },
       done => {
         if (this.metadataClient && this.config.eureka.fetchMetadata) {
           return this.addInstanceMetadata(done);
@@ -128,34 +198,56 @@ export default class Eureka extends EventEmitter {
       },
       done => {
         if (this.config.eureka.registerWithEureka) {
-          return this.register(done);
+          if (this.config.eureka.waitForReadiness) {
+            this.config.instance.status = 'STARTING';
+          }
+          return this.registerWithRetries((error) => {
+            registeredAsStarting = !error && this.config.eureka.waitForReadiness;
+            done(error);
+          });
         }
         done();
       },
+      done => parallel(this.registrations.map(registration => next => registration.start(next)),
+        error => done(error)),
       done => {
         if (this.config.eureka.registerWithEureka) {
           this.startHeartbeats();
+          if (this.config.eureka.healthCheckInterval) {
+            this.startHealthChecks();
+          }
         }
         if (this.config.eureka.fetchRegistry) {
           this.startRegistryFetches();
           if (this.config.eureka.waitForRegistry) {
-            const waitForRegistryUpdate = (cb) => {
-              this.fetchRegistry(() => {
-                const instances = this.getInstancesByVipAddress(this.config.instance.vipAddress);
-                if (instances.length === 0) setTimeout(() => waitForRegistryUpdate(cb), 2000);
-                else cb();
-              });
-            };
-            return waitForRegistryUpdate(done);
+            return this.waitForRegistry(done);
           }
-          this.fetchRegistry(done);
+          this.fetchRegistry((error) => {
+            if (error && this.registryStale) {
+              this.logger.warn('Unable to fetch registry, using registry snapshot', error);
+              return done();
+            }
+            done(error);
+          });
         } else {
           done();
         }
       },
+      done => {
+        if (this.config.eureka.registerWithEureka && this.config.eureka.waitForReadiness) {
+          return this.waitForReadiness(done);
+        }
+        done();
+      },
     ], (err, ...rest) => {
       if (err) {
         this.logger.warn('Error starting the Eureka Client', err);
+        if (registeredAsStarting) {
+          return this.stop((stopError) => {
+            if (stopError) this.logger.warn('Error stopping the Eureka Client', stopError);
+            callback(err, ...rest);
+          });
+        }
       } else {
         this.emit('started');
       }
@@ -165,15 +257,143 @@ export default class Eureka extends EventEmitter {
 
   /*
     De-registers instance with Eureka, stops heartbeats / registry fetches.
+    Returns a Promise if no callback is provided.
   */
-  stop(callback = noop) {
-    clearInterval(this.registryFetch);
+  stop(callback) {
+    if (!callback) return toPromise(done => this.stop(done));
+    this.stopRegistration();
+    this.removeSignalHandlers();
+    if (this.registryFetch) this.registryFetch.stop();
+    const deregistrations = this.registrations.map(registration => done => registration.stop(done));
     if (this.config.eureka.registerWithEureka) {
-      clearInterval(this.heartbeat);
-      this.deregister(callback);
-    } else {
-      callback();
+      clearInterval(this.healthCheck);
+      deregistrations.unshift(done => this.deregister(done));
     }
+    parallel(deregistrations, error => callback(error || null));
+  }
+
+  /*
+    Adds an instance to register along with this client's own instance, see
+    InstanceRegistration. Registrations added before start() are started with
+    the client, while later ones must be started. All registrations are
+    de-registered by stop().
+  */
+  addRegistration(instance) {
+    const registration = new InstanceRegistration(this, instance);
+    this.registrations.push(registration);
+    return registration;
+  }
+
+  /*
+    Stops and de-registers a registration added with addRegistration.
+    Returns a Promise if no callback is provided.
+  */
+  removeRegistration(registration, callback) {
+    if (!callback) return toPromise(done => this.removeRegistration(registration, done));
+    const index = this.registrations.indexOf(registration);
+    if (index === -1) {
+      return callback(new Error(`Unknown registration: ${registration.instanceId}`));
+    }
+    this.registrations.splice(index, 1);
+    registration.stop(callback);
+  }
+
+  /*
+    Adds a function to run during shutdown, after the drain period. Hooks may
+    accept a Node-style callback or return a Promise, and are run in the order
+    they were added.
+  */
+  addShutdownHook(hook) {
+    if (typeof hook !== 'function') {
+      throw new TypeError('Shutdown hook must be a function');
+    }
+    this.shutdownHooks.push(hook);
+  }
+
+  /*
+    Shuts down gracefully: takes the instance out of service, either by
+    de-registering (eureka.shutdownStrategy 'deregister') or by setting its
+    status to OUT_OF_SERVICE ('outOfService'), then waits eureka.shutdownDrainPeriod
+    milliseconds for other clients to fetch the registry, then runs the shutdown
+    hooks. The 'outOfService' strategy keeps heartbeating during the drain
+    period and de-registers at the end. Eureka errors are logged rather than
+    failing the shutdown, while the first shutdown hook error is passed back.
+    Returns a Promise if no callback is provided.
+  */
+  shutdown(callback) {
+    if (!callback) return toPromise(done => this.shutdown(done));
+    if (this.shuttingDown) return callback(new Error('shutdown already in progress'));
+    this.shuttingDown = true;
+    const { shutdownStrategy, shutdownDrainPeriod, deregisterTimeout } = this.config.eureka;
+    const outOfService = shutdownStrategy === 'outOfService';
+    const logErrors = (message, done) => (error) => {
+      if (error) this.logger.warn(message, error);
+      done();
+    };
+    let hookError;
+    this.logger.info(`shutting down, draining for ${shutdownDrainPeriod}ms`);
+    this.emit('shutdownStarted');
+    series([
+      done => {
+        if (outOfService) {
+          const updates = [this].concat(this.registrations).map(registration => next => (
+            registration.setStatus('OUT_OF_SERVICE', withTimeout(deregisterTimeout,
+              `setting OUT_OF_SERVICE timed out after ${deregisterTimeout}ms`,
+              logErrors('Error setting OUT_OF_SERVICE', next)))
+          ));
+          return parallel(updates, () => done());
+        }
+        this.stop(logErrors('Error stopping the Eureka Client', done));
+      },
+      done => {
+        this.drainTimer = setTimeout(done, shutdownDrainPeriod);
+      },
+      done => eachSeries(this.shutdownHooks, (hook, next) => {
+        fromCallbackOrPromise(hook, (error) => {
+          if (error) {
+            this.logger.warn('Error running shutdown hook', error);
+            hookError = hookError || error;
+          }
+          next();
+        });
+      }, done),
+      done => {
+        if (outOfService) return this.stop(logErrors('Error stopping the Eureka Client', done));
+        done();
+      },
+    ], () => {
+      this.shuttingDown = false;
+      this.emit('shutdownComplete');
+      callback(hookError || null);
+    });
+  }
+
+  /*
+    Shuts down gracefully on SIGTERM and SIGINT, then raises the signal again
+    so that the process exits as it would have, unless the application has its
+    own listeners. A second signal during shutdown is not handled, and exits
+    immediately.
+  */
+  handleShutdownSignals() {
+    this.removeSignalHandlers();
+    SHUTDOWN_SIGNALS.forEach((signal) => {
+      this.signalHandlers[signal] = () => {
+        this.logger.info(`received ${signal}`);
+        this.removeSignalHandlers();
+        this.shutdown((error) => {
+          if (error) this.logger.warn('Error during shutdown', error);
+          if (!process.listenerCount(signal)) process.kill(process.pid, signal);
+        });
+      };
+      process.on(signal, this.signalHandlers[signal]);
+    });
+  }
+
+  removeSignalHandlers() {
+    Object.keys(this.signalHandlers).forEach((signal) => {
+      process.removeListener(signal, this.signalHandlers[signal]);
+    });
+    this.signalHandlers = {};
   }
 
   /*
@@ -186,130 +406,348 @@ export default class Eureka extends EventEmitter {
       }
     }
 
+    function validateEither(namespace, key, otherKey) {
+      if (!config[namespace][key] && !config[namespace][otherKey]) {
+        throw new TypeError(
+          `Missing "${namespace}.${key}" or "${namespace}.${otherKey}" config value.`
+        );
+      }
+    }
+
     if (config.eureka.registerWithEureka) {
       validate('instance', 'app');
-      validate('instance', 'vipAddress');
-      validate('instance', 'port');
+      validateEither('instance', 'vipAddress', 'secureVipAddress');
+      validateEither('instance', 'port', 'securePort');
       validate('instance', 'dataCenterInfo');
     }
 
     if (typeof config.requestMiddleware !== 'function') {
       throw new TypeError('requestMiddleware must be a function');
     }
+
+    const remoteRegions = config.eureka.fetchRemoteRegionsRegistry;
+    if (remoteRegions && remoteRegions.length && !config.eureka.ec2Region) {
+      throw new TypeError(
+        'Missing "eureka.ec2Region" config value required by "eureka.fetchRemoteRegionsRegistry".'
+      );
+    }
+
+    if (SHUTDOWN_STRATEGIES.indexOf(config.eureka.shutdownStrategy) === -1) {
+      throw new TypeError(`Unknown shutdown strategy: ${config.eureka.shutdownStrategy}`);
+    }
+
+    if (config.readinessCheck && typeof config.readinessCheck !== 'function') {
+      throw new TypeError('readinessCheck must be a function');
+    }
+
+    if (config.eureka.registerWithEureka && config.eureka.waitForReadiness &&
+      !config.readinessCheck && !config.instance.healthCheckUrl) {
+      throw new TypeError(
+        'Missing "readinessCheck" or "instance.healthCheckUrl" config value ' +
+        'required by "eureka.waitForReadiness".'
+      );
+    }
   }
 
   /*
-    Registers with the Eureka server and initializes heartbeats on registration success.
+    Polls the readiness check until it passes and then changes the instance
+    status to UP. Fails with an error and emits `readinessTimeout` if the
+    instance is not ready within eureka.readinessTimeout milliseconds, or with
+    an error once the client is stopped.
   */
-  register(callback = noop) {
-    this.config.instance.status = 'UP';
-    const connectionTimeout = setTimeout(() => {
-      this.logger.warn('It looks like it\'s taking a while to register with ' +
-        'Eureka. This usually means there is an issue connecting to the host ' +
-        'specified. Start application with NODE_DEBUG=request for more logging.');
-    }, 10000);
-    this.eurekaRequest({
-      method: 'POST',
-      uri: this.config.instance.app,
-      json: true,
-      body: { instance: this.config.instance },
-    }, (error, response, body) => {
-      clearTimeout(connectionTimeout);
-      if (!error && response.statusCode === 204) {
-        this.logger.info(
-          'registered with eureka: ',
-          `${this.config.instance.app}/${this.instanceId}`
+  waitForReadiness(callback) {
+    const { readinessCheckInterval, readinessTimeout } = this.config.eureka;
+    const startTime = Date.now();
+    const stopped = () => callback(new Error('client stopped while waiting for readiness'));
+    const poll = () => {
+      if (this.stopped) return stopped();
+      this.checkReadiness((ready) => {
+        if (this.stopped) return stopped();
+        if (ready) {
+          this.logger.info('instance is ready, changing status to UP');
+          return this.setStatus('UP', callback);
+        }
+        const elapsed = Date.now() - startTime;
+        if (elapsed >= readinessTimeout) {
+          this.emit('readinessTimeout', elapsed);
+          return callback(new Error(`instance was not ready after ${elapsed}ms`));
+        }
+        this.logger.debug(`instance not ready, checking again in ${readinessCheckInterval}ms`);
+        this.retryAfter(readinessCheckInterval, poll);
+      });
+    };
+    poll();
+  }
+
+  /*
+    Fetches the registry until the apps in eureka.waitForApps and vipAddresses
+    in eureka.waitForVips have instances. If neither is set, waits for the
+    instance's own vipAddress when registering, or else for a successful fetch.
+    Retries with exponential backoff from eureka.waitForRegistryInterval up to
+    eureka.waitForRegistryMaxInterval, emitting `registryWaitProgress` after
+    each attempt which was not ready. Fails with an error listing the missing
+    dependencies once eureka.waitForRegistryTimeout milliseconds have passed,
+    or with an error once the client is stopped.
+  */
+  waitForRegistry(callback) {
+    const {
+      waitForRegistryInterval, waitForRegistryMaxInterval, waitForRegistryTimeout,
+    } = this.config.eureka;
+    const dependencies = this.registryDependencies();
+    const startTime = Date.now();
+    let attempt = 0;
+    const stopped = () => callback(new Error('client stopped while waiting for the registry'));
+    const poll = () => {
+      if (this.stopped) return stopped();
+      attempt++;
+      this.fetchRegistry((error) => {
+        if (this.stopped) return stopped();
+        const missing = dependencies
+          .filter(dependency => !dependency.getInstances().length)
+          .map(dependency => dependency.name);
+        if (!missing.length && (!error || dependencies.length || this.registryStale)) {
+          this.logger.info('registry is ready');
+          return callback();
+        }
+        const elapsed = Date.now() - startTime;
+        if (elapsed >= waitForRegistryTimeout) {
+          let message = `registry was not ready after ${elapsed}ms`;
+          if (missing.length) message += `, missing ${missing.join(', ')}`;
+          if (error) message += `, last error: ${error.message}`;
+          const timeoutError = new Error(message);
+          timeoutError.missing = missing;
+          return callback(timeoutError);
+        }
+        const delay = Math.min(
+          backoff(attempt, waitForRegistryInterval, waitForRegistryMaxInterval),
+          waitForRegistryTimeout - elapsed
         );
-        this.emit('registered');
-        return callback(null);
-      } else if (error) {
-        this.logger.warn('Error registering with eureka client.', error);
-        return callback(error);
-      }
-      return callback(
-        new Error(`eureka registration FAILED: status: ${response.statusCode} body: ${body}`)
-      );
+        this.logger.debug(`registry not ready, fetching again in ${delay}ms`);
+        this.emit('registryWaitProgress', { attempt, elapsed, missing, error, delay });
+        this.retryAfter(delay, poll);
+      });
+    };
+    poll();
+  }
+
+  /*
+    Returns the apps and vipAddresses waitForRegistry waits for, each with a
+    name and a function returning its instances in the local region.
+  */
+  registryDependencies() {
+    const { eureka, instance } = this.config;
+    const apps = eureka.waitForApps || [];
+    let vips = eureka.waitForVips || [];
+    if (!apps.length && !vips.length && eureka.registerWithEureka && instance.vipAddress) {
+      vips = [instance.vipAddress];
+    }
+    return [].concat(
+      apps.map(appId => ({
+        name: `app ${appId}`,
+        getInstances: () => this.filterRegion(this.cache.app[appId.toUpperCase()] || []),
+      })),
+      vips.map(vipAddress => ({
+        name: `vipAddress ${vipAddress}`,
+        getInstances: () => this.filterRegion(this.cache.vip[vipAddress] || []),
+      }))
+    );
+  }
+
+  /*
+    Runs the configured readinessCheck function, or requests the instance
+    healthCheckUrl if none was given. Calls back with true when ready.
+  */
+  checkReadiness(callback) {
+    if (this.config.readinessCheck) {
+      return fromCallbackOrPromise(this.config.readinessCheck, (error, ready) => {
+        if (error) this.logger.debug('readiness check failed', error);
+        callback(!error && ready !== false);
+      });
+    }
+    request.get({
+      url: this.config.instance.healthCheckUrl,
+      timeout: this.config.eureka.readinessCheckInterval,
+    }, (error, response) => {
+      if (error) this.logger.debug('readiness check failed', error);
+      callback(!error && response.statusCode >= 200 && response.statusCode < 300);
     });
   }
 
   /*
-    De-registers with the Eureka server and stops heartbeats.
+    Runs the health indicators before each heartbeat, unless they have their
+    own interval.
   */
-  deregister(callback = noop) {
-    this.eurekaRequest({
-      method: 'DELETE',
-      uri: `${this.config.instance.app}/${this.instanceId}`,
-    }, (error, response, body) => {
-      if (!error && response.statusCode === 200) {
-        this.logger.info(
-          `de-registered with eureka: ${this.config.instance.app}/${this.instanceId}`
-        );
-        this.emit('deregistered');
-        return callback(null);
-      } else if (error) {
-        this.logger.warn('Error deregistering with eureka', error);
-        return callback(error);
+  beforeRenew(callback) {
+    if (this.healthChecks.size && !this.config.eureka.healthCheckInterval) {
+      return this.runHealthChecks(() => callback());
+    }
+    callback();
+  }
+
+  /*
+    Adds a named health indicator. Indicators accept a callback or return a
+    Promise, and report a boolean, a status or an object with status and details.
+  */
+  addHealthIndicator(name, indicator) {
+    this.healthChecks.add(name, indicator);
+  }
+
+  removeHealthIndicator(name) {
+    this.healthChecks.remove(name);
+  }
+
+  /*
+    Runs the health indicators and moves the instance to the combined status.
+    Emits `healthChanged` when the status of any indicator changes. The status
+    is only pushed when the health result changes, so a manual status override
+    is kept until health changes again. Returns a Promise if no callback is provided.
+  */
+  runHealthChecks(callback) {
+    if (!callback) return toPromise(done => this.runHealthChecks(done));
+    this.healthChecks.run((error, health) => {
+      const previous = this.health;
+      this.health = health;
+      const summarize = result => Object.keys(result.indicators)
+        .map(name => `${name}:${result.indicators[name].status}`).join(',');
+      if (!previous || summarize(previous) !== summarize(health)) {
+        this.emit('healthChanged', health, previous);
       }
-      return callback(
-        new Error(`eureka deregistration FAILED: status: ${response.statusCode} body: ${body}`)
-      );
+      const currentStatus = this.config.instance.status;
+      if (health.status === this.appliedHealthStatus || currentStatus === 'STARTING') {
+        return callback(null, health);
+      }
+      if (this.appliedHealthStatus === undefined && health.status === currentStatus) {
+        this.appliedHealthStatus = health.status;
+        return callback(null, health);
+      }
+      this.logger.info(`health status changed to ${health.status}`);
+      this.setStatus(health.status, (err) => {
+        if (!err) this.appliedHealthStatus = health.status;
+        callback(err, health);
+      });
     });
   }
 
   /*
-    Sets up heartbeats on interval for the life of the application.
-    Heartbeat interval by setting configuration property: eureka.heartbeatInterval
+    Sets up health checks on their own interval, rather than before each heartbeat.
+    Health check interval by setting configuration property: eureka.healthCheckInterval
   */
-  startHeartbeats() {
-    this.heartbeat = setInterval(() => {
-      this.renew();
-    }, this.config.eureka.heartbeatInterval);
+  startHealthChecks() {
+    this.healthCheck = setInterval(() => {
+      if (!this.healthChecks.size) return;
+      this.runHealthChecks(err => {
+        if (err) this.logger.warn('Error applying health check status', err);
+      });
+    }, this.config.eureka.healthCheckInterval);
   }
 
-  renew() {
-    this.eurekaRequest({
-      method: 'PUT',
-      uri: `${this.config.instance.app}/${this.instanceId}`,
-    }, (error, response, body) => {
-      if (!error && response.statusCode === 200) {
-        this.logger.debug('eureka heartbeat success');
-        this.emit('heartbeat');
-      } else if (!error && response.statusCode === 404) {
-        this.logger.warn('eureka heartbeat FAILED, Re-registering app');
-        this.register();
-      } else {
-        if (error) {
-          this.logger.error('An error in the request occured.', error);
-        }
-        this.logger.warn(
-          'eureka heartbeat FAILED, will retry.' +
-          `statusCode: ${response ? response.statusCode : 'unknown'}` +
-          `body: ${body} ${error | ''} `
-        );
-      }
+  /*
+    Returns a summary of the client's registration, heartbeats and registry,
+    for health endpoints and alerting.
+  */
+  getStatus() {
+    return Object.assign(super.getStatus(), {
+      hasFullRegistry: this.hasFullRegistry,
+      registryVersion: this.registryVersion,
+      registryStale: this.registryStale,
+      hashCodeMismatches: this.hashCodeMismatches,
+      registrations: this.registrations.map(registration => registration.getStatus()),
     });
   }
 
   /*
     Sets up registry fetches on interval for the life of the application.
     Registry fetch interval setting configuration property: eureka.registryFetchInterval
+    Intervals are jittered and never overlap a fetch, like heartbeats.
   */
   startRegistryFetches() {
-    this.registryFetch = setInterval(() => {
-      this.fetchRegistry(err => {
-        if (err) this.logger.warn('Error fetching registry', err);
+    this.registryFetch = repeat(this.config.eureka.registryFetchInterval, SCHEDULE_JITTER,
+      (done) => {
+        this.fetchRegistry(err => {
+          if (err) this.logger.warn('Error fetching registry', err);
+          done();
+        });
       });
-    }, this.config.eureka.registryFetchInterval);
   }
 
   /*
-    Retrieves a list of instances from Eureka server given an appId
+    Returns the regions listed in eureka.fetchRemoteRegionsRegistry.
+  */
+  get remoteRegions() {
+    let regions = this.config.eureka.fetchRemoteRegionsRegistry || [];
+    if (typeof regions === 'string') regions = regions.split(',');
+    return regions.map(region => region.trim()).filter(region => region);
+  }
+
+  /*
+    Returns the region of an instance, based on its availability-zone.
+    Instances without an availability-zone belong to the local region.
+  */
+  instanceRegion(instance) {
+    const { ec2Region, availabilityZones } = this.config.eureka;
+    const zone = availabilityZone(instance);
+    return zone ? zoneToRegion(zone, availabilityZones) : ec2Region;
+  }
+
+  /*
+    Sets the region of an instance, unless it is not known.
+  */
+  tagRegion(instance) {
+    const region = this.instanceRegion(instance);
+    if (region) instance.region = region;
+  }
+
+  /*
+    Returns the instances of the given region, or of the local region if
+    remote regions are fetched. Otherwise all instances are returned.
+  */
+  filterRegion(instances, region) {
+    if (!region && !this.remoteRegions.length) return instances;
+    const targetRegion = region || this.config.eureka.ec2Region;
+    return instances.filter(instance => instance.region === targetRegion);
+  }
+
+  /*
+    Calls getInstances with the local region and, if it returns no UP
+    instances, with each remote region in turn until one does. An explicitly
+    requested region is used as is.
   */
-  getInstancesByAppId(appId) {
+  withRegionFailover(getInstances, region) {
+    if (region || !this.remoteRegions.length) return getInstances(region);
+    const regions = [this.config.eureka.ec2Region].concat(this.remoteRegions);
+    for (let i = 0; i < regions.length; i++) {
+      const instances = getInstances(regions[i]);
+      if (instances.some(instance => instance.status === 'UP')) return instances;
+    }
+    return [];
+  }
+
+  /*
+    Returns a frozen copy of the instances returned by getInstances. Copies are
+    kept until the registryVersion changes or the cache is replaced.
+  */
+  snapshot(key, getInstances) {
+    if (this.snapshotsVersion !== this.registryVersion || this.snapshotsCache !== this.cache) {
+      this.snapshots = {};
+      this.snapshotsVersion = this.registryVersion;
+      this.snapshotsCache = this.cache;
+    }
+    if (!this.snapshots[key]) this.snapshots[key] = Object.freeze(getInstances().slice());
+    return this.snapshots[key];
+  }
+
+  /*
+    Retrieves a list of instances from Eureka server given an appId. The
+    region option selects the instances of a region, see filterRegion.
+  */
+  getInstancesByAppId(appId, options = {}) {
     if (!appId) {
       throw new RangeError('Unable to query instances with no appId');
     }
-    const instances = this.cache.app[appId.toUpperCase()] || [];
+    const appName = appId.toUpperCase();
+    const instances = this.snapshot(`app:${appName}:${options.region}`, () => (
+      this.filterRegion(this.cache.app[appName] || [], options.region)
+    ));
     if (instances.length === 0) {
       this.logger.warn(`Unable to retrieve instances for appId: ${appId}`);
     }
@@ -317,13 +755,16 @@ export default class Eureka extends EventEmitter {
   }
 
   /*
-    Retrieves a list of instances from Eureka server given a vipAddress
+    Retrieves a list of instances from Eureka server given a vipAddress. The
+    region option selects the instances of a region, see filterRegion.
    */
-  getInstancesByVipAddress(vipAddress) {
+  getInstancesByVipAddress(vipAddress, options = {}) {
     if (!vipAddress) {
       throw new RangeError('Unable to query instances with no vipAddress');
     }
-    const instances = this.cache.vip[vipAddress] || [];
+    const instances = this.snapshot(`vip:${vipAddress}:${options.region}`, () => (
+      this.filterRegion(this.cache.vip[vipAddress] || [], options.region)
+    ));
     if (instances.length === 0) {
       this.logger.warn(`Unable to retrieves instances for vipAddress: ${vipAddress}`);
     }
@@ -331,35 +772,296 @@ export default class Eureka extends EventEmitter {
   }
 
   /*
-    Orchestrates fetching registry
+    Retrieves a list of instances from Eureka server given a secureVipAddress.
+    The region option selects the instances of a region, see filterRegion.
    */
-  fetchRegistry(callback = noop) {
-    if (this.config.shouldUseDelta && this.hasFullRegistry) {
-      this.fetchDelta(callback);
-    } else {
-      this.fetchFullRegistry(callback);
+  getInstancesBySecureVipAddress(secureVipAddress, options = {}) {
+    if (!secureVipAddress) {
+      throw new RangeError('Unable to query instances with no secureVipAddress');
     }
+    const instances = this.snapshot(`svip:${secureVipAddress}:${options.region}`, () => (
+      this.filterRegion(this.cache.svip[secureVipAddress] || [], options.region)
+    ));
+    if (instances.length === 0) {
+      this.logger.warn(`Unable to retrieve instances for secureVipAddress: ${secureVipAddress}`);
+    }
+    return instances;
+  }
+
+  /*
+    Returns the cached instances matching all of the given filters, ordered by
+    instance key:
+
+      app, vip, svip - appId, vipAddress or secureVipAddress
+      status - status or array of statuses
+      zone - availability-zone
+      region - region, see filterRegion
+      metadata - object of metadata values
+      dataCenter - dataCenterInfo name, e.g. Amazon or MyOwn
+      port, securePort - port numbers
+
+    The app, vip and svip filters are looked up in the cache indices.
+  */
+  queryInstances(filter = {}) {
+    Object.keys(filter).forEach((key) => {
+      if (QUERY_FILTERS.indexOf(key) === -1) {
+        throw new RangeError(`Unknown instance filter: ${key}`);
+      }
+    });
+    // Start from the smallest of the indices for the app, vip and svip filters:
+    const indexed = [];
+    if (filter.app) indexed.push(this.cache.app[filter.app.toUpperCase()] || []);
+    if (filter.vip) indexed.push(this.cache.vip[filter.vip] || []);
+    if (filter.svip) indexed.push(this.cache.svip[filter.svip] || []);
+    const instances = indexed.length ?
+      indexed.reduce((smallest, list) => (list.length < smallest.length ? list : smallest)) :
+      this.cache.values();
+    const statuses = [].concat(filter.status || []);
+    const matchers = [
+      instance => !filter.app || (instance.app || '').toUpperCase() === filter.app.toUpperCase(),
+      instance => !filter.vip || splitVipAddress(instance.vipAddress).indexOf(filter.vip) > -1,
+      instance => !filter.svip ||
+        splitVipAddress(instance.secureVipAddress).indexOf(filter.svip) > -1,
+      instance => !statuses.length || statuses.indexOf(instance.status) > -1,
+      instance => !filter.zone || availabilityZone(instance) === filter.zone,
+      instance => !filter.dataCenter ||
+        (instance.dataCenterInfo && instance.dataCenterInfo.name === filter.dataCenter),
+      instance => !filter.port || portValue(instance.port) === Number(filter.port),
+      instance => !filter.securePort ||
+        portValue(instance.securePort) === Number(filter.securePort),
+      instance => !filter.metadata || Object.keys(filter.metadata).every(key => (
+        instance.metadata && instance.metadata[key] !== undefined &&
+          String(instance.metadata[key]) === String(filter.metadata[key])
+      )),
+    ];
+    return Object.freeze(this.filterRegion(instances, filter.region)
+      .filter(instance => matchers.every(matches => matches(instance)))
+      .sort((a, b) => (instanceKey(a) < instanceKey(b) ? -1 : 1)));
+  }
+
+  /*
+    Returns the cached instance with the given instanceId, if any.
+  */
+  getInstanceById(instanceId) {
+    if (!instanceId) {
+      throw new RangeError('Unable to query instances with no instanceId');
+    }
+    return this.cache.get(instanceId);
+  }
+
+  /*
+    Returns each cached application with its name and instances, ordered by
+    name.
+  */
+  getApplications() {
+    return Object.freeze(Object.keys(this.cache.app).sort()
+      .filter(name => this.cache.app[name].length)
+      .map(name => ({
+        name,
+        instances: this.snapshot(`app:${name}:all`, () => this.cache.app[name]),
+      })));
+  }
+
+  /*
+    Chooses a single UP instance for the given vipAddress using the load
+    balancer strategy in options.strategy, or eureka.loadBalancerStrategy.
+    Falls back to remote regions when the local region has no UP instances.
+  */
+  chooseInstance(vipAddress, options = {}) {
+    const instances = this.withRegionFailover(
+      region => this.getInstancesByVipAddress(vipAddress, { region }), options.region
+    );
+    return this.loadBalancer.choose(`vip:${vipAddress}`, instances, options);
   }
 
   /*
-    Retrieves all applications registered with the Eureka server
+    Chooses a single UP instance for the given appId using the load balancer
+    strategy in options.strategy, or eureka.loadBalancerStrategy. Falls back to
+    remote regions when the local region has no UP instances.
   */
-  fetchFullRegistry(callback = noop) {
+  chooseInstanceByAppId(appId, options = {}) {
+    const instances = this.withRegionFailover(
+      region => this.getInstancesByAppId(appId, { region }), options.region
+    );
+    return this.loadBalancer.choose(`app:${appId.toUpperCase()}`, instances, options);
+  }
+
+  /*
+    Reports a successful call to an instance returned by chooseInstance. Emits
+    `instanceRestored` if this was a probe call to an ejected instance.
+  */
+  reportSuccess(instance) {
+    if (this.outlierDetector.reportSuccess(instance)) {
+      this.emit('instanceRestored', instance);
+    }
+  }
+
+  /*
+    Reports a failed call to an instance returned by chooseInstance. Emits
+    `instanceEjected` if the instance is ejected from load balancing.
+  */
+  reportFailure(instance, error) {
+    const ejectionTime = this.outlierDetector.reportFailure(instance);
+    if (ejectionTime) {
+      this.emit('instanceEjected', { instance, error, ejectionTime });
+    }
+  }
+
+  /*
+    Makes a request to a service addressed by a URL such as
+    `http://vip/<vipAddress>/path`, `https://vip/<vipAddress>/path` or
+    `eureka://<appId>/path`. An instance is chosen by the load balancer, and
+    idempotent requests which fail or respond with a 5xx status are retried on
+    another instance. The outcome of each call is reported for outlier
+    detection. Accepts a URL or request options plus the following:
+
+      retries - times to retry on another instance, see serviceRequestRetries
+      loadBalancer - options passed to the load balancer, e.g. { strategy }
+  */
+  request(opts, callback) {
+    if (!callback) return toPromise(done => this.request(opts, done));
+    const requestOpts = Object.assign({}, typeof opts === 'string' ? { uri: opts } : opts);
+    const serviceUrl = requestOpts.uri || requestOpts.url;
+    const target = parseServiceUrl(serviceUrl);
+    if (!target) {
+      throw new RangeError(`Unable to resolve a vipAddress or appId from: ${serviceUrl}`);
+    }
+    const { retries, loadBalancer } = requestOpts;
+    delete requestOpts.retries;
+    delete requestOpts.loadBalancer;
+    delete requestOpts.url;
+    const method = (requestOpts.method || 'GET').toUpperCase();
+    let maxRetries = retries === undefined ? this.config.eureka.serviceRequestRetries : retries;
+    if (IDEMPOTENT_METHODS.indexOf(method) === -1) maxRetries = 0;
+    const tried = [];
+    const attempt = () => {
+      const instances = this.withRegionFailover(
+        region => this.getServiceInstances(target, region), (loadBalancer || {}).region
+      );
+      const key = target.appId ? `app:${target.appId}` : `vip:${target.vipAddress}`;
+      const untried = instances.filter(instance => tried.indexOf(instanceKey(instance)) === -1);
+      const instance = this.loadBalancer.choose(key, untried, loadBalancer);
+      if (!instance) {
+        const name = target.appId ? `appId: ${target.appId}` : `vipAddress: ${target.vipAddress}`;
+        return callback(new Error(`No UP instances available for ${name}`));
+      }
+      tried.push(instanceKey(instance));
+      const uri = instanceBaseUrl(instance, target.protocol) + target.path;
+      const instanceOpts = Object.assign({}, requestOpts, { uri, method });
+      request(instanceOpts, (error, response, body) => {
+        const failed = error || (response && String(response.statusCode)[0] === '5');
+        if (!failed) {
+          this.reportSuccess(instance);
+          return callback(null, response, body);
+        }
+        this.reportFailure(instance, error || new Error(`status: ${response.statusCode}`));
+        if (tried.length <= maxRetries && untried.length > 1) {
+          this.logger.warn(`Request to ${uri} failed, retrying on another instance`);
+          return attempt();
+        }
+        callback(error, response, body);
+      });
+    };
+    attempt();
+  }
+
+  /*
+    Returns the instances of a region addressed by a service URL parsed with
+    parseServiceUrl. Secure vip URLs are resolved by secureVipAddress, falling
+    back to the vipAddress.
+  */
+  getServiceInstances(target, region) {
+    if (target.appId) return this.getInstancesByAppId(target.appId, { region });
+    const secureInstances = target.protocol === 'https:' ?
+      this.filterRegion(this.cache.svip[target.vipAddress] || [], region) : [];
+    if (secureInstances.length) return secureInstances;
+    return this.getInstancesByVipAddress(target.vipAddress, { region });
+  }
+
+  /*
+    Calls the listener with the instances of the given appId right away, and
+    again whenever its instances are added, removed or change status. Listeners
+    receive frozen snapshots, like getInstancesByAppId. Returns a function to
+    unsubscribe, or an async iterator if no listener is provided.
+  */
+  watchApp(appId, listener) {
+    if (!appId) {
+      throw new RangeError('Unable to watch instances with no appId');
+    }
+    const appName = appId.toUpperCase();
+    return this.watch(
+      change => change.app.toUpperCase() === appName,
+      () => this.snapshot(`app:${appName}:all`, () => this.cache.app[appName] || []),
+      listener
+    );
+  }
+
+  /*
+    Calls the listener with the instances of the given vipAddress right away,
+    and again whenever its instances are added, removed or change status. Returns
+    a function to unsubscribe, or an async iterator if no listener is provided.
+  */
+  watchVipAddress(vipAddress, listener) {
+    if (!vipAddress) {
+      throw new RangeError('Unable to watch instances with no vipAddress');
+    }
+    return this.watch(
+      change => splitVipAddress(change.vipAddress).indexOf(vipAddress) > -1,
+      () => this.snapshot(`vip:${vipAddress}:all`, () => this.cache.vip[vipAddress] || []),
+      listener
+    );
+  }
+
+  watch(matchesChange, getInstances, listener) {
+    if (!listener) {
+      return toAsyncIterator(push => this.watch(matchesChange, getInstances, push));
+    }
+    const onRegistryUpdated = (changes) => {
+      const changed = ['added', 'removed', 'statusChanged']
+        .some(type => changes[type].some(matchesChange));
+      if (changed) listener(getInstances());
+    };
+    this.on('registryUpdated', onRegistryUpdated);
+    listener(getInstances());
+    return () => this.removeListener('registryUpdated', onRegistryUpdated);
+  }
+
+  /*
+    Orchestrates fetching registry. Returns a Promise if no callback is provided.
+   */
+  fetchRegistry(callback) {
+    if (this.config.shouldUseDelta && this.hasFullRegistry && !this.hasFetchTargets()) {
+      return this.fetchDelta(callback);
+    }
+    return this.fetchFullRegistry(callback);
+  }
+
+  /*
+    Retrieves all applications registered with the Eureka server.
+    Returns a Promise if no callback is provided.
+  */
+  fetchFullRegistry(callback) {
+    if (!callback) return toPromise(done => this.fetchFullRegistry(done));
+    if (this.hasFetchTargets()) return this.fetchTargetedRegistry(callback);
     this.eurekaRequest({
       uri: '',
       headers: {
         Accept: 'application/json',
       },
+      qs: this.regionsQuery(),
     }, (error, response, body) => {
       if (!error && response.statusCode === 200) {
         this.logger.debug('retrieved full registry successfully');
+        const previousCache = this.cache;
+        const previousInstances = indexInstances(previousCache);
         try {
           this.transformRegistry(JSON.parse(body));
         } catch (ex) {
           return callback(ex);
         }
-        this.emit('registryUpdated');
+        this.emitRegistryChanges(previousInstances, previousCache);
         this.hasFullRegistry = true;
+        this.registryFetched();
         return callback(null);
       } else if (error) {
         this.logger.warn('Error fetching registry', error);
@@ -369,27 +1071,114 @@ export default class Eureka extends EventEmitter {
     });
   }
 
-    /*
-    Retrieves all applications registered with the Eureka server
+  /*
+    Returns the query string requesting the remote regions in
+    eureka.fetchRemoteRegionsRegistry, if any.
+  */
+  regionsQuery() {
+    const regions = this.remoteRegions;
+    return regions.length ? { regions: regions.join(',') } : undefined;
+  }
+
+  /*
+    Returns true if only the apps, vipAddresses or secureVipAddresses listed in
+    eureka.fetchApps, eureka.fetchVips or eureka.fetchSvips are fetched.
+  */
+  hasFetchTargets() {
+    const { fetchApps, fetchVips, fetchSvips } = this.config.eureka;
+    return [fetchApps, fetchVips, fetchSvips].some(targets => targets && targets.length > 0);
+  }
+
+  /*
+    Retrieves the apps, vipAddresses and secureVipAddresses listed in
+    eureka.fetchApps, eureka.fetchVips and eureka.fetchSvips in parallel, and
+    replaces the cache with the instances of all of them. Targets which are not
+    found have no instances.
+  */
+  fetchTargetedRegistry(callback) {
+    const { fetchApps, fetchVips, fetchSvips } = this.config.eureka;
+    const targets = [].concat(
+      (fetchApps || []).map(appId => ({ uri: encodeURIComponent(appId) })),
+      (fetchVips || []).map(vip => ({ relativeBaseUrl: '../vips/', uri: encodeURIComponent(vip) })),
+      (fetchSvips || []).map(svip => ({
+        relativeBaseUrl: '../svips/', uri: encodeURIComponent(svip),
+      }))
+    );
+    parallel(targets.map(target => done => {
+      this.eurekaRequest(merge({ headers: { Accept: 'application/json' } }, target),
+        (error, response, body) => {
+          if (error) return done(error);
+          if (response.statusCode === 404) return done(null, []);
+          if (response.statusCode !== 200) {
+            return done(new Error(`Unable to retrieve ${target.uri} from Eureka server`));
+          }
+          let registry;
+          try {
+            registry = JSON.parse(body);
+          } catch (ex) {
+            return done(ex);
+          }
+          if (registry.application) return done(null, [registry.application]);
+          const applications = registry.applications && registry.applications.application;
+          done(null, applications ? arrayOrObj(applications) : []);
+        });
+    }), (error, results) => {
+      if (error) {
+        this.logger.warn('Error fetching registry', error);
+        return callback(error);
+      }
+      this.logger.debug('retrieved targeted registry successfully');
+      const newCache = new RegistryCache();
+      results.forEach(apps => apps.forEach(app => this.transformApp(app, newCache)));
+      const previousCache = this.cache;
+      const previousInstances = indexInstances(previousCache);
+      this.cache = newCache;
+      this.emitRegistryChanges(previousInstances, previousCache);
+      this.hasFullRegistry = true;
+      this.registryFetched();
+      callback(null);
+    });
+  }
+
+  /*
+    Retrieves registry changes since the last fetch from the Eureka server.
+    Returns a Promise if no callback is provided.
    */
-  fetchDelta(callback = noop) {
+  fetchDelta(callback) {
+    if (!callback) return toPromise(done => this.fetchDelta(done));
     this.eurekaRequest({
       uri: 'delta',
       headers: {
         Accept: 'application/json',
       },
+      qs: this.regionsQuery(),
     }, (error, response, body) => {
       if (!error && response.statusCode === 200) {
         this.logger.debug('retrieved delta successfully');
         let applications;
+        let keys;
+        let previousInstances;
         try {
-          const jsonBody = JSON.parse(body);
-          applications = jsonBody.applications.application;
-          this.handleDelta(this.cache, applications);
-          return callback(null);
+          applications = JSON.parse(body).applications;
+          const delta = normalizeDelta(applications.application);
+          // Only the instances in the delta can change:
+          keys = [].concat(...delta.map(app => app.instance.map(instanceKey)));
+          previousInstances = indexCachedInstances(this.cache, keys);
+          this.handleDelta(this.cache, delta);
         } catch (ex) {
           return callback(ex);
         }
+        this.emitRegistryChanges(previousInstances, this.cache,
+          indexCachedInstances(this.cache, keys));
+        const hashCode = applications.apps__hashcode;
+        if (hashCode !== undefined && !this.matchesHashCode(hashCode)) {
+          this.hashCodeMismatches++;
+          this.logger.warn('Registry hash code mismatch after applying delta ' +
+            `(expected: ${hashCode}), fetching full registry`);
+          return this.fetchFullRegistry(callback);
+        }
+        this.registryFetched();
+        return callback(null);
       } else if (error) {
         this.logger.warn('Error fetching delta registry', error);
         return callback(error);
@@ -397,6 +1186,122 @@ export default class Eureka extends EventEmitter {
       callback(new Error('Unable to retrieve delta registry from Eureka server'));
     });
   }
+  /*
+    Returns true if the cache matches the reconcile hash code of the registry
+    on the Eureka server. Only UP instances are compared when filterUpInstances
+    is enabled, as the other instances are not fully cached.
+   */
+  matchesHashCode(hashCode) {
+    let instances = this.cache.values();
+    let expected = hashCode;
+    if (this.config.eureka.filterUpInstances) {
+      const upCount = parseHashCode(hashCode).UP;
+      instances = instances.filter(instance => instance.status === 'UP');
+      expected = upCount ? `UP_${upCount}_` : '';
+    }
+    return computeHashCode(instances) === expected;
+  }
+
+  /*
+    Called after each successful registry fetch. Clears the stale flag of a
+    loaded registry snapshot and saves a new snapshot.
+  */
+  registryFetched() {
+    this.registryStale = false;
+    if (this.config.eureka.registryCacheFile) this.saveRegistrySnapshot();
+  }
+
+  /*
+    Atomically writes the cached instances to eureka.registryCacheFile, by
+    writing to a temporary file which is then renamed. A save requested while
+    another is in progress is done once it has finished.
+  */
+  saveRegistrySnapshot(callback = noop) {
+    if (this.snapshotSaving) {
+      this.pendingSnapshots.push(callback);
+      return;
+    }
+    this.snapshotSaving = true;
+    const file = this.config.eureka.registryCacheFile;
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const snapshot = JSON.stringify({ savedAt: Date.now(), instances: this.cache.values() });
+    waterfall([
+      done => fs.writeFile(tmpFile, snapshot, done),
+      done => fs.rename(tmpFile, file, done),
+    ], (error) => {
+      this.snapshotSaving = false;
+      if (error) this.logger.warn(`Unable to save registry snapshot to ${file}`, error);
+      callback(error);
+      const pending = this.pendingSnapshots.splice(0);
+      if (pending.length) {
+        this.saveRegistrySnapshot(err => pending.forEach(cb => cb(err)));
+      }
+    });
+  }
+
+  /*
+    Loads the cached instances from eureka.registryCacheFile, if it exists. The
+    registry is marked as stale until the first successful registry fetch, and
+    `registrySnapshotLoaded` is emitted with the age of the snapshot.
+  */
+  loadRegistrySnapshot(callback = noop) {
+    const file = this.config.eureka.registryCacheFile;
+    fs.readFile(file, 'utf8', (error, data) => {
+      if (error) {
+        if (error.code !== 'ENOENT') {
+          this.logger.warn(`Unable to load registry snapshot from ${file}`, error);
+        }
+        return callback();
+      }
+      let snapshot;
+      try {
+        snapshot = JSON.parse(data);
+        if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.instances)) {
+          throw new TypeError('Registry snapshot has no instances array.');
+        }
+      } catch (ex) {
+        this.logger.warn(`Unable to parse registry snapshot from ${file}`, ex);
+        return callback();
+      }
+      const age = Date.now() - snapshot.savedAt;
+      const previousCache = this.cache;
+      const previousInstances = indexInstances(previousCache);
+      this.cache = new RegistryCache(snapshot.instances);
+      this.registryStale = true;
+      this.logger.info(`Loaded registry snapshot from ${file}, ${age}ms old`);
+      this.emitRegistryChanges(previousInstances, previousCache);
+      this.emit('registrySnapshotLoaded', age);
+      callback();
+    });
+  }
+
+  /*
+    Compares the cached instances with those cached before a registry fetch and
+    emits instanceAdded, instanceRemoved and instanceStatusChanged for each
+    change, followed by registryUpdated with a summary of all changes. The
+    registryVersion is incremented if any instance changed. Otherwise snapshots
+    of the previous cache are kept for the cache which replaced it. Deltas pass
+    the instances they touched before and after being applied, so that the
+    rest of the cache is not compared.
+   */
+  emitRegistryChanges(previousInstances, previousCache = this.cache,
+    currentInstances = indexInstances(this.cache)) {
+    const changes = diffRegistry(previousInstances, currentInstances);
+    if (changes.added.length || changes.removed.length || changes.statusChanged.length ||
+      hasModifiedInstances(previousInstances, currentInstances)) {
+      this.registryVersion++;
+    } else if (this.snapshotsCache === previousCache) {
+      this.snapshotsCache = this.cache;
+    }
+    changes.added.forEach(change => this.emit('instanceAdded', change));
+    changes.removed.forEach((change) => {
+      this.outlierDetector.remove(change.instance);
+      this.emit('instanceRemoved', change);
+    });
+    changes.statusChanged.forEach(change => this.emit('instanceStatusChanged', change));
+    this.emit('registryUpdated', changes);
+  }
+
   /*
     Transforms the given registry and caches the registry locally
    */
@@ -407,7 +1312,7 @@ export default class Eureka extends EventEmitter {
       if (!registry.applications.application) {
         return;
       }
-      const newCache = { app: {}, vip: {} };
+      const newCache = new RegistryCache();
       if (Array.isArray(registry.applications.application)) {
         registry.applications.application.forEach((app) => {
           this.transformApp(app, newCache);
@@ -424,6 +1329,7 @@ export default class Eureka extends EventEmitter {
     has a single instance, the instance is placed into the cache as an array of one
    */
   transformApp(app, cache) {
+    if (!app.instance) return;
     if (app.instance.length) {
       app.instance
         .filter(this.validateInstance.bind(this))
@@ -441,16 +1347,10 @@ export default class Eureka extends EventEmitter {
   }
 
   /*
-    Returns an array of vipAddresses from string vipAddress given by eureka
+    Applies the given delta to the cache. Added instances which are not UP are
+    skipped when filterUpInstances is enabled, while modified instances are
+    always kept.
   */
-  splitVipAddress(vipAddress) { // eslint-disable-line
-    if (typeof vipAddress !== 'string') {
-      return [];
-    }
-
-    return vipAddress.split(',');
-  }
-
   handleDelta(cache, appDelta) {
     const delta = normalizeDelta(appDelta);
     delta.forEach((app) => {
@@ -466,45 +1366,18 @@ export default class Eureka extends EventEmitter {
   }
 
   addInstance(cache, instance) {
-    if (!this.validateInstance(instance)) return;
-    const vipAddresses = this.splitVipAddress(instance.vipAddress);
-    const appName = instance.app.toUpperCase();
-    vipAddresses.forEach((vipAddress) => {
-      const alreadyContains = findIndex(cache.vip[vipAddress], findInstance(instance)) > -1;
-      if (alreadyContains) return;
-      if (!cache.vip[vipAddress]) {
-        cache.vip[vipAddress] = [];
-      }
-      cache.vip[vipAddress].push(instance);
-    });
-    if (!cache.app[appName]) cache.app[appName] = [];
-    const alreadyContains = findIndex(cache.app[appName], findInstance(instance)) > -1;
-    if (alreadyContains) return;
-    cache.app[appName].push(instance);
+    if (!this.validateInstance(instance) || cache.has(instance)) return;
+    this.tagRegion(instance);
+    cache.add(instance);
   }
 
   modifyInstance(cache, instance) {
-    const vipAddresses = this.splitVipAddress(instance.vipAddress);
-    const appName = instance.app.toUpperCase();
-    vipAddresses.forEach((vipAddress) => {
-      const index = findIndex(cache.vip[vipAddress], findInstance(instance));
-      if (index > -1) cache.vip[vipAddress].splice(index, 1, instance);
-      else this.addInstance(cache, instance);
-    });
-    const index = findIndex(cache.app[appName], findInstance(instance));
-    if (index > -1) cache.app[appName].splice(cache.vip[instance.vipAddress], 1, instance);
-    else this.addInstance(cache, instance);
+    this.tagRegion(instance);
+    cache.add(instance);
   }
 
-  deleteInstance(cache, instance) {
-    const vipAddresses = this.splitVipAddress(instance.vipAddress);
-    const appName = instance.app.toUpperCase();
-    vipAddresses.forEach((vipAddress) => {
-      const index = findIndex(cache.vip[vipAddress], findInstance(instance));
-      if (index > -1) cache.vip[vipAddress].splice(index, 1);
-    });
-    const index = findIndex(cache.app[appName], findInstance(instance));
-    if (index > -1) cache.app[appName].splice(cache.vip[instance.vipAddress], 1);
+  deleteInstance(cache, instance) { // eslint-disable-line
+    cache.remove(instance);
   }
 
   /*
@@ -559,7 +1432,8 @@ export default class Eureka extends EventEmitter {
 
   /*
     Helper method for making a request to the Eureka server. Handles resolving
-    the current cluster as well as some default options.
+    the current cluster as well as some default options. The relativeBaseUrl
+    option resolves the base URL relative to the apps path (e.g. '../vips/').
   */
   eurekaRequest(opts, callback, retryAttempt = 0) {
     waterfall([
@@ -569,10 +1443,12 @@ export default class Eureka extends EventEmitter {
       done => {
         this.clusterResolver.resolveEurekaUrl((err, eurekaUrl) => {
           if (err) return done(err);
+          const { relativeBaseUrl } = opts;
           const requestOpts = merge({}, opts, {
-            baseUrl: eurekaUrl,
+            baseUrl: relativeBaseUrl ? url.resolve(eurekaUrl, relativeBaseUrl) : eurekaUrl,
             gzip: true,
           });
+          delete requestOpts.relativeBaseUrl;
           done(null, requestOpts);
         }, retryAttempt);
       },
@@ -0,0 +1,97 @@
+import async from 'async';
+import Logger from './Logger';
+import { fromCallbackOrPromise } from './promiseUtils';
+
+// Health statuses ordered from most to least severe:
+const STATUS_ORDER = ['DOWN', 'OUT_OF_SERVICE', 'UP'];
+
+/*
+  Runs a set of named health indicators and aggregates their results into a
+  single instance status, similar to Spring Boot's HealthIndicator.
+
+  An indicator is a function which either accepts a Node-style callback or
+  returns a Promise. The result may be a boolean, one of the statuses UP, DOWN
+  or OUT_OF_SERVICE, or an object with a `status` and optional `details`.
+  Errors, timeouts and unknown statuses are reported as DOWN.
+*/
+export default class HealthChecks {
+  constructor(logger, timeout = 0) {
+    this.logger = logger || new Logger();
+    this.timeout = timeout;
+    this.indicators = {};
+  }
+
+  get size() {
+    return Object.keys(this.indicators).length;
+  }
+
+  add(name, indicator) {
+    if (!name) {
+      throw new RangeError('Unable to add a health indicator with no name');
+    }
+    if (typeof indicator !== 'function') {
+      throw new TypeError('health indicator must be a function');
+    }
+    this.indicators[name] = indicator;
+  }
+
+  remove(name) {
+    delete this.indicators[name];
+  }
+
+  /*
+    Runs all indicators in parallel and calls back with the aggregated status
+    and the individual result of each indicator.
+  */
+  run(callback) {
+    const tasks = {};
+    Object.keys(this.indicators).forEach((name) => {
+      tasks[name] = done => this.runIndicator(name, (error, result) => {
+        if (error) {
+          this.logger.warn(`Health indicator ${name} failed`, error);
+          return done(null, { status: 'DOWN', details: { error: error.message } });
+        }
+        done(null, this.normalizeResult(result));
+      });
+    });
+    async.parallel(tasks, (error, indicators) => {
+      const status = Object.keys(indicators).reduce((worst, name) => (
+        STATUS_ORDER.indexOf(indicators[name].status) < STATUS_ORDER.indexOf(worst) ?
+          indicators[name].status : worst
+      ), 'UP');
+      callback(null, { status, indicators });
+    });
+  }
+
+  runIndicator(name, callback) {
+    let timer;
+    let finished = false;
+    const done = (error, result) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      callback(error, result);
+    };
+    if (this.timeout) {
+      timer = setTimeout(() => {
+        done(new Error(`health indicator timed out after ${this.timeout}ms`));
+      }, this.timeout);
+    }
+    fromCallbackOrPromise(this.indicators[name], done);
+  }
+
+  normalizeResult(result) { // eslint-disable-line
+    if (result === undefined || result === null || result === true) {
+      return { status: 'UP' };
+    } else if (result === false) {
+      return { status: 'DOWN' };
+    } else if (typeof result === 'string') {
+      return { status: STATUS_ORDER.indexOf(result) > -1 ? result : 'DOWN' };
+    }
+    const status = result.status || 'UP';
+    return {
+      status: STATUS_ORDER.indexOf(status) > -1 ? status : 'DOWN',
+      details: result.details,
+    };
+  }
+}
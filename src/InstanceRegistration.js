@@ -0,0 +1,103 @@
+import { merge, pick } from 'lodash';
+import { toPromise } from './promiseUtils';
+import { portValue } from './serviceUrlUtils';
+import Registration from './Registration';
+
+// Instance properties which default to those of the client's own instance:
+const SHARED_PROPERTIES = ['hostName', 'ipAddr', 'dataCenterInfo'];
+
+// Throws a TypeError if a required instance property is missing:
+function validateInstance(instance) {
+  function validate(key, otherKey) {
+    if (!instance[key] && !(otherKey && instance[otherKey])) {
+      const keys = otherKey ? `"instance.${key}" or "instance.${otherKey}"` : `"instance.${key}"`;
+      throw new TypeError(`Missing ${keys} config value.`);
+    }
+  }
+  validate('app');
+  validate('hostName');
+  validate('vipAddress', 'secureVipAddress');
+  validate('port', 'securePort');
+  validate('dataCenterInfo');
+}
+
+/*
+  Registration of an additional instance with the Eureka server, for processes
+  such as gateways which serve several apps on different ports. Each
+  registration has its own lease, heartbeats, status and metadata, managed
+  like the client's own instance (see Registration), while requests go
+  through the client which added it, so that all registrations share its
+  cluster resolver, registry cache and registry fetches.
+
+  The hostName, ipAddr and dataCenterInfo of the instance default to those of
+  the client's instance, and its instanceId to `<hostName>:<app>:<port>`.
+  Heartbeats, registration retries and lease info use the client's eureka
+  configuration.
+ */
+export default class InstanceRegistration extends Registration {
+  constructor(client, instance) {
+    super();
+    this.client = client;
+    this.logger = client.logger;
+    const { heartbeatInterval, leaseDuration } = client.config.eureka;
+    this.instance = merge({
+      status: 'UP',
+      leaseInfo: {
+        renewalIntervalInSecs: Math.ceil(heartbeatInterval / 1000),
+        durationInSecs: Math.ceil(leaseDuration / 1000),
+      },
+    }, pick(client.config.instance, SHARED_PROPERTIES), instance);
+    validateInstance(this.instance);
+    if (!this.instance.instanceId) {
+      const { hostName, app, port, securePort } = this.instance;
+      const instancePort = portValue(port) || portValue(securePort);
+      this.instance.instanceId = `${hostName}:${app.toLowerCase()}:${instancePort}`;
+    }
+  }
+
+  get config() {
+    return this.client.config;
+  }
+
+  get instanceId() {
+    return this.instance.instanceId;
+  }
+
+  eurekaRequest(opts, callback) {
+    this.client.eurekaRequest(opts, callback);
+  }
+
+  /*
+    Registers the instance, retrying until registered, and then begins
+    heartbeats. Returns a Promise if no callback is provided.
+  */
+  start(callback) {
+    if (!callback) return toPromise(done => this.start(done));
+    this.stopped = false;
+    this.registerWithRetries((error) => {
+      if (error) return callback(error);
+      this.startHeartbeats();
+      callback(null);
+    });
+  }
+
+  /*
+    Stops heartbeats and registration retries, and de-registers the instance.
+    Returns a Promise if no callback is provided.
+  */
+  stop(callback) {
+    if (!callback) return toPromise(done => this.stop(done));
+    this.stopRegistration();
+    this.deregister(callback);
+  }
+
+  /*
+    Returns a summary of the registration, like Eureka.getStatus.
+  */
+  getStatus() {
+    return Object.assign({
+      instanceId: this.instanceId,
+      app: this.instance.app,
+    }, super.getStatus());
+  }
+}
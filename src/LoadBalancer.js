@@ -0,0 +1,104 @@
+import Logger from './Logger';
+
+/*
+  Client-side load balancer which chooses a single UP instance from a list of
+  instances using one of the following strategies:
+
+  - roundRobin: cycles through the instances.
+  - random: picks any instance.
+  - weighted: picks randomly, weighted by a numeric instance metadata value
+    (instances without one have a weight of 1).
+  - zoneAffinity: cycles through the instances in the same availability-zone,
+    falling back to all instances when there are none.
+
+  Instances ejected by the optional OutlierDetector are skipped, unless every
+  instance has been ejected.
+ */
+export default class LoadBalancer {
+  constructor(config, logger, outlierDetector) {
+    this.logger = logger || new Logger();
+    this.config = config;
+    this.outlierDetector = outlierDetector;
+    this.positions = {};
+  }
+
+  /*
+    Chooses an instance. The key identifies the list of instances (e.g. the
+    vipAddress) for strategies which keep track of the last chosen instance.
+  */
+  choose(key, instances, options = {}) {
+    const { outlierDetector } = this;
+    const upInstances = instances.filter(instance => instance.status === 'UP');
+    const available = outlierDetector ?
+      upInstances.filter(instance => outlierDetector.isAvailable(instance)) : upInstances;
+    const chosen = this.chooseByStrategy(key, available.length ? available : upInstances, options);
+    if (chosen && outlierDetector) outlierDetector.markChosen(chosen);
+    return chosen;
+  }
+
+  chooseByStrategy(key, candidates, options) {
+    const { loadBalancerStrategy, loadBalancerWeightKey } = this.config.eureka;
+    const strategy = options.strategy || loadBalancerStrategy;
+    switch (strategy) {
+      case 'roundRobin':
+        return this.roundRobin(key, candidates);
+      case 'random':
+        return this.random(candidates);
+      case 'weighted':
+        return this.weighted(candidates, options.weightKey || loadBalancerWeightKey);
+      case 'zoneAffinity':
+        return this.zoneAffinity(key, candidates, options.zone || this.availabilityZone);
+      default:
+        throw new RangeError(`Unknown load balancer strategy: ${strategy}`);
+    }
+  }
+
+  get availabilityZone() {
+    const { dataCenterInfo } = this.config.instance;
+    const metadata = dataCenterInfo ? dataCenterInfo.metadata : undefined;
+    return metadata ? metadata['availability-zone'] : undefined;
+  }
+
+  roundRobin(key, instances) {
+    if (!instances.length) return undefined;
+    const last = this.positions[key];
+    const position = last === undefined ? 0 : (last + 1) % instances.length;
+    this.positions[key] = position;
+    return instances[position];
+  }
+
+  random(instances) {
+    if (!instances.length) return undefined;
+    return instances[Math.floor(this.randomNumber() * instances.length)];
+  }
+
+  randomNumber() { // eslint-disable-line
+    return Math.random();
+  }
+
+  weighted(instances, weightKey) {
+    const weights = instances.map((instance) => {
+      const weight = parseFloat(instance.metadata ? instance.metadata[weightKey] : undefined);
+      if (isNaN(weight)) return 1;
+      return Math.max(weight, 0);
+    });
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    if (!totalWeight) return this.random(instances);
+    let target = this.randomNumber() * totalWeight;
+    for (let i = 0; i < instances.length; i++) {
+      target -= weights[i];
+      if (target < 0) return instances[i];
+    }
+    return instances[instances.length - 1];
+  }
+
+  zoneAffinity(key, instances, zone) {
+    const sameZone = instances.filter((instance) => {
+      const { dataCenterInfo } = instance;
+      const metadata = dataCenterInfo ? dataCenterInfo.metadata : undefined;
+      return zone && metadata && metadata['availability-zone'] === zone;
+    });
+    if (sameZone.length) return this.roundRobin(`${key}:${zone}`, sameZone);
+    return this.roundRobin(key, instances);
+  }
+}
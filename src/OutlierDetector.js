@@ -0,0 +1,127 @@
+import Logger from './Logger';
+import { instanceKey } from './deltaUtils';
+
+/*
+  Tracks the outcome of calls made to instances and temporarily ejects failing
+  instances from load balancing. An instance is ejected after a number of
+  consecutive failures, or when its error rate over the most recent calls
+  exceeds a threshold. Once the ejection time has passed, a single probe call
+  is let through: a success restores the instance, while a failure ejects it
+  again for twice as long, up to a maximum.
+
+  Configuration (eureka.outlierDetection):
+    consecutiveFailures - failures in a row before ejection
+    errorRateThreshold - error rate (0 - 1) before ejection
+    minimumRequests - calls in the window before the error rate is used
+    windowSize - number of most recent calls used for the error rate
+    baseEjectionTime - milliseconds an instance is first ejected for
+    maxEjectionTime - maximum milliseconds an instance is ejected for
+ */
+export default class OutlierDetector {
+  constructor(config, logger) {
+    this.logger = logger || new Logger();
+    this.config = config;
+    this.instances = {};
+  }
+
+  get options() {
+    return this.config.eureka.outlierDetection;
+  }
+
+  getState(instance) {
+    const key = instanceKey(instance);
+    if (!this.instances[key]) {
+      this.instances[key] = {
+        outcomes: [],
+        consecutiveFailures: 0,
+        ejections: 0,
+        ejectedUntil: 0,
+        probeStarted: 0,
+      };
+    }
+    return this.instances[key];
+  }
+
+  /*
+    Returns false while the instance is ejected, or while a probe call to a
+    previously ejected instance is in flight.
+  */
+  isAvailable(instance) {
+    const state = this.instances[instanceKey(instance)];
+    if (!state || !state.ejectedUntil) return true;
+    const now = Date.now();
+    if (now < state.ejectedUntil) return false;
+    return !state.probeStarted || now - state.probeStarted >= this.options.baseEjectionTime;
+  }
+
+  /*
+    Marks the start of a probe call if the instance is ejected but its
+    ejection time has passed.
+  */
+  markChosen(instance) {
+    const state = this.instances[instanceKey(instance)];
+    if (state && state.ejectedUntil) state.probeStarted = Date.now();
+  }
+
+  /*
+    Records a successful call. Returns true if an ejected instance was restored.
+  */
+  reportSuccess(instance) {
+    const state = this.getState(instance);
+    if (state.ejectedUntil) {
+      if (Date.now() < state.ejectedUntil) return false;
+      this.logger.info(`restoring instance ${instanceKey(instance)} to load balancing`);
+      delete this.instances[instanceKey(instance)];
+      return true;
+    }
+    state.consecutiveFailures = 0;
+    this.recordOutcome(state, true);
+    return false;
+  }
+
+  /*
+    Records a failed call. Returns the milliseconds the instance is ejected for
+    if this failure caused an ejection, otherwise 0.
+  */
+  reportFailure(instance) {
+    const state = this.getState(instance);
+    if (state.ejectedUntil) {
+      if (Date.now() < state.ejectedUntil) return 0;
+      return this.eject(instance, state);
+    }
+    state.consecutiveFailures++;
+    this.recordOutcome(state, false);
+    const { consecutiveFailures, errorRateThreshold, minimumRequests } = this.options;
+    const failures = state.outcomes.filter(success => !success).length;
+    if (state.consecutiveFailures >= consecutiveFailures ||
+      (state.outcomes.length >= minimumRequests &&
+        failures / state.outcomes.length >= errorRateThreshold)) {
+      return this.eject(instance, state);
+    }
+    return 0;
+  }
+
+  /*
+    Stops tracking an instance, e.g. once it has left the registry.
+  */
+  remove(instance) {
+    delete this.instances[instanceKey(instance)];
+  }
+
+  recordOutcome(state, success) {
+    state.outcomes.push(success);
+    if (state.outcomes.length > this.options.windowSize) state.outcomes.shift();
+  }
+
+  eject(instance, state) {
+    const { baseEjectionTime, maxEjectionTime } = this.options;
+    const ejectionTime = Math.min(baseEjectionTime * Math.pow(2, state.ejections), maxEjectionTime);
+    state.ejections++;
+    state.ejectedUntil = Date.now() + ejectionTime;
+    state.probeStarted = 0;
+    state.outcomes = [];
+    state.consecutiveFailures = 0;
+    this.logger.warn(`ejecting instance ${instanceKey(instance)} for ${ejectionTime}ms`);
+    return ejectionTime;
+  }
+}
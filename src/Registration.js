@@ -0,0 +1,398 @@
+import { EventEmitter } from 'events';
+import { toPromise } from './promiseUtils';
+import { SCHEDULE_JITTER, jitter, repeat, backoff, withTimeout } from './timerUtils';
+
+function noop() {}
+
+const INSTANCE_STATUSES = ['UP', 'DOWN', 'STARTING', 'OUT_OF_SERVICE', 'UNKNOWN'];
+
+/*
+  Lifecycle of an instance registered with the Eureka server: registration
+  with retries, heartbeats, status and metadata updates and de-registration.
+  Shared by the client's own instance (Eureka) and the additional instances it
+  registers (InstanceRegistration).
+
+  Subclasses provide the `config` (of which only `config.eureka` is used),
+  `instance`, `instanceId` and `logger` properties and an eurekaRequest method.
+ */
+export default class Registration extends EventEmitter {
+  constructor() {
+    super();
+    this.registered = false;
+    this.registering = false;
+    this.stopped = false;
+    this.pendingRetries = [];
+    this.heartbeatFailures = 0;
+    this.lastRenewal = undefined;
+    this.pendingMetadata = {};
+  }
+
+  get uri() {
+    return `${this.instance.app}/${this.instanceId}`;
+  }
+
+  /*
+    Whether status and metadata updates are sent to the Eureka server, rather
+    than only applied locally.
+  */
+  get registersWithEureka() {
+    return true;
+  }
+
+  /*
+    Registers with the Eureka server.
+    Returns a Promise if no callback is provided.
+  */
+  register(callback) {
+    if (!callback) return toPromise(done => this.register(done));
+    this.instance.status = this.instance.status || 'UP';
+    const connectionTimeout = setTimeout(() => {
+      this.logger.warn('It looks like it\'s taking a while to register with ' +
+        'Eureka. This usually means there is an issue connecting to the host ' +
+        'specified. Start application with NODE_DEBUG=request for more logging.');
+    }, 10000);
+    this.eurekaRequest({
+      method: 'POST',
+      uri: this.instance.app,
+      json: true,
+      body: { instance: this.instance },
+    }, (error, response, body) => {
+      clearTimeout(connectionTimeout);
+      if (!error && response.statusCode === 204) {
+        this.logger.info(`registered with eureka: ${this.uri}`);
+        this.registered = true;
+        this.lastRenewal = Date.now();
+        this.heartbeatFailures = 0;
+        this.emit('registered');
+        return callback(null);
+      } else if (error) {
+        this.logger.warn(`Error registering ${this.uri} with eureka.`, error);
+        return callback(error);
+      }
+      return callback(
+        new Error(`eureka registration FAILED: status: ${response.statusCode} body: ${body}`)
+      );
+    });
+  }
+
+  /*
+    Registers with the Eureka server, retrying failed attempts with capped
+    exponential backoff from eureka.registrationRetryInterval up to
+    eureka.registrationMaxRetryInterval. Delays are jittered so that instances
+    restarted together do not retry together. Emits `registrationFailed` after
+    each failed attempt and gives up after eureka.maxRegistrationAttempts
+    attempts, unless it is 0. Heartbeats are skipped while registering. Fails
+    with an error once stopped, de-registering again if an attempt which was
+    in flight succeeded.
+  */
+  registerWithRetries(callback) {
+    if (this.registering) return callback(new Error('registration already in progress'));
+    const {
+      registrationRetryInterval, registrationMaxRetryInterval, maxRegistrationAttempts,
+    } = this.config.eureka;
+    const stopped = () => {
+      this.registering = false;
+      callback(new Error(`registration of ${this.uri} stopped`));
+    };
+    if (this.stopped) return stopped();
+    this.registering = true;
+    let attempt = 0;
+    const attemptRegistration = () => {
+      if (this.stopped) return stopped();
+      attempt++;
+      this.register((error) => {
+        if (this.stopped) {
+          if (!error) this.deregister(noop);
+          return stopped();
+        }
+        if (!error) {
+          this.registering = false;
+          return callback(null);
+        }
+        if (maxRegistrationAttempts && attempt >= maxRegistrationAttempts) {
+          this.registering = false;
+          this.emit('registrationFailed', { attempt, error });
+          return callback(error);
+        }
+        const delay = jitter(
+          backoff(attempt, registrationRetryInterval, registrationMaxRetryInterval)
+        );
+        this.logger.warn(`registration attempt ${attempt} of ${this.uri} failed, ` +
+          `retrying in ${delay}ms`);
+        this.emit('registrationFailed', { attempt, error, delay });
+        this.retryAfter(delay, attemptRegistration);
+      });
+    };
+    attemptRegistration();
+  }
+
+  /*
+    Calls retry after delay milliseconds, or as soon as stopRegistration is
+    called, so that retry loops can call back instead of waiting out their delay.
+  */
+  retryAfter(delay, retry) {
+    const pending = { retry };
+    pending.timer = setTimeout(() => {
+      this.pendingRetries.splice(this.pendingRetries.indexOf(pending), 1);
+      retry();
+    }, delay);
+    this.pendingRetries.push(pending);
+  }
+
+  /*
+    Stops heartbeats and ends pending retries, which then fail with an error.
+  */
+  stopRegistration() {
+    this.stopped = true;
+    if (this.heartbeat) this.heartbeat.stop();
+    const pendingRetries = this.pendingRetries;
+    this.pendingRetries = [];
+    pendingRetries.forEach(({ timer, retry }) => {
+      clearTimeout(timer);
+      retry();
+    });
+  }
+
+  /*
+    De-registers with the Eureka server, failing after eureka.deregisterTimeout.
+    Returns a Promise if no callback is provided.
+  */
+  deregister(callback) {
+    if (!callback) return toPromise(done => this.deregister(done));
+    const { deregisterTimeout } = this.config.eureka;
+    const done = withTimeout(deregisterTimeout,
+      `eureka deregistration timed out after ${deregisterTimeout}ms`, callback);
+    this.eurekaRequest({
+      method: 'DELETE',
+      uri: this.uri,
+    }, (error, response, body) => {
+      if (!error && response.statusCode === 200) {
+        this.logger.info(`de-registered with eureka: ${this.uri}`);
+        this.registered = false;
+        this.emit('deregistered');
+        return done(null);
+      } else if (error) {
+        this.logger.warn(`Error deregistering ${this.uri} with eureka`, error);
+        return done(error);
+      }
+      return done(
+        new Error(`eureka deregistration FAILED: status: ${response.statusCode} body: ${body}`)
+      );
+    });
+  }
+
+  /*
+    Updates the status of the instance (UP, DOWN, STARTING, OUT_OF_SERVICE or
+    UNKNOWN) and pushes it to the Eureka server as a status override.
+    Returns a Promise if no callback is provided.
+  */
+  setStatus(status, callback) {
+    if (INSTANCE_STATUSES.indexOf(status) === -1) {
+      throw new RangeError(`Invalid instance status: ${status}`);
+    }
+    if (!callback) return toPromise(done => this.setStatus(status, done));
+    this.updateStatus('PUT', status, callback);
+  }
+
+  /*
+    Removes the status override for the instance from the Eureka server,
+    returning the instance to UP. Returns a Promise if no callback is provided.
+  */
+  clearStatusOverride(callback) {
+    if (!callback) return toPromise(done => this.clearStatusOverride(done));
+    this.updateStatus('DELETE', 'UP', callback);
+  }
+
+  /*
+    Calls the Eureka status endpoint with the given method, and applies the
+    status locally and emits `statusChanged` once the server accepted it.
+  */
+  updateStatus(method, status, callback) {
+    const statusChanged = () => {
+      const previousStatus = this.instance.status;
+      this.instance.status = status;
+      if (status !== previousStatus) this.emit('statusChanged', status, previousStatus);
+    };
+    if (!this.registersWithEureka) {
+      statusChanged();
+      return callback(null);
+    }
+    this.eurekaRequest({
+      method,
+      uri: `${this.uri}/status`,
+      qs: { value: status },
+    }, (error, response, body) => {
+      if (!error && response.statusCode === 200) {
+        this.logger.info(`eureka status set to ${status}: ${this.uri}`);
+        statusChanged();
+        return callback(null);
+      } else if (error) {
+        this.logger.warn(`Error updating status of ${this.uri} with eureka`, error);
+        return callback(error);
+      }
+      return callback(
+        new Error(`eureka status update FAILED: status: ${response.statusCode} body: ${body}`)
+      );
+    });
+  }
+
+  /*
+    Updates instance metadata on the Eureka server without re-registering.
+    Accepts either a key and value, or an object of values. Values which could
+    not be applied are re-applied after a re-registration.
+    Returns a Promise if no callback is provided.
+  */
+  updateMetadata(key, value, callback) {
+    if (key && typeof key === 'object') {
+      return this.applyMetadata(key, value);
+    }
+    if (!key) {
+      throw new RangeError('Unable to update metadata with no key');
+    }
+    return this.applyMetadata({ [key]: value }, callback);
+  }
+
+  applyMetadata(metadata, callback) {
+    if (!callback) return toPromise(done => this.applyMetadata(metadata, done));
+    this.instance.metadata = Object.assign({}, this.instance.metadata, metadata);
+    Object.assign(this.pendingMetadata, metadata);
+    if (!this.registersWithEureka) {
+      this.pendingMetadata = {};
+      return callback(null);
+    }
+    const sentMetadata = Object.assign({}, this.pendingMetadata);
+    this.eurekaRequest({
+      method: 'PUT',
+      uri: `${this.uri}/metadata`,
+      qs: sentMetadata,
+    }, (error, response, body) => {
+      if (!error && response.statusCode === 200) {
+        this.logger.debug('eureka metadata updated', sentMetadata);
+        Object.keys(sentMetadata).forEach((sentKey) => {
+          if (this.pendingMetadata[sentKey] === sentMetadata[sentKey]) {
+            delete this.pendingMetadata[sentKey];
+          }
+        });
+        this.emit('metadataUpdated', sentMetadata);
+        return callback(null);
+      } else if (error) {
+        this.logger.warn(`Error updating metadata of ${this.uri} with eureka`, error);
+        return callback(error);
+      }
+      return callback(
+        new Error(`eureka metadata update FAILED: status: ${response.statusCode} body: ${body}`)
+      );
+    });
+  }
+
+  /*
+    Sets up heartbeats on interval until stopped, every eureka.heartbeatInterval.
+    Each interval is shortened at random by up to 10%, so that instances started
+    together do not heartbeat together, and starts once the previous heartbeat
+    has completed.
+  */
+  startHeartbeats() {
+    this.heartbeat = repeat(this.config.eureka.heartbeatInterval, SCHEDULE_JITTER, (done) => {
+      if (this.registering) return done();
+      this.beforeRenew(() => this.renew(done));
+    });
+  }
+
+  /*
+    Called before each heartbeat, to be overridden by subclasses.
+  */
+  beforeRenew(callback) {
+    callback();
+  }
+
+  /*
+    Renews the lease of the instance with a heartbeat, re-registering if the
+    Eureka server no longer knows the instance. Calls back with an error if the
+    heartbeat failed.
+  */
+  renew(callback = noop) {
+    this.eurekaRequest({
+      method: 'PUT',
+      uri: this.uri,
+    }, (error, response, body) => {
+      if (!error && response.statusCode === 200) {
+        this.logger.debug(`eureka heartbeat of ${this.uri} success`);
+        this.heartbeatFailures = 0;
+        this.lastRenewal = Date.now();
+        this.emit('heartbeat');
+        return callback(null);
+      }
+      const statusCode = response ? response.statusCode : undefined;
+      this.heartbeatFailed({ error, statusCode });
+      if (!error && statusCode === 404) {
+        this.logger.warn(`eureka heartbeat of ${this.uri} FAILED, Re-registering`);
+        this.registerWithRetries((registerError) => {
+          if (registerError || !Object.keys(this.pendingMetadata).length) return;
+          this.applyMetadata({}, (metadataError) => {
+            if (metadataError) this.logger.warn('Error re-applying metadata', metadataError);
+          });
+        });
+      } else {
+        if (error) {
+          this.logger.error('An error in the request occured.', error);
+        }
+        this.logger.warn(
+          `eureka heartbeat of ${this.uri} FAILED, will retry. ` +
+          `statusCode: ${statusCode === undefined ? 'unknown' : statusCode} ` +
+          `body: ${body} ${error || ''}`
+        );
+      }
+      callback(error || new Error(`eureka heartbeat FAILED: status: ${statusCode} body: ${body}`));
+    });
+  }
+
+  /*
+    Counts a failed heartbeat and emits `heartbeatFailed`. Also emits
+    `leaseAtRisk` if the lease will have expired by the next heartbeat, i.e.
+    the Eureka server may evict the instance unless a heartbeat gets through.
+  */
+  heartbeatFailed({ error, statusCode }) {
+    this.heartbeatFailures++;
+    const { lastRenewal, heartbeatFailures: consecutiveFailures } = this;
+    this.emit('heartbeatFailed', { consecutiveFailures, error, statusCode, lastRenewal });
+    const { leaseAtRisk, leaseExpiresIn } = this.getStatus();
+    if (leaseAtRisk) {
+      this.logger.warn(`eureka lease of ${this.uri} expires in ${leaseExpiresIn}ms, ` +
+        `after ${consecutiveFailures} failed heartbeats`);
+      this.emit('leaseAtRisk', { consecutiveFailures, lastRenewal, leaseExpiresIn });
+    }
+  }
+
+  /*
+    Returns the lease duration in milliseconds, from instance.leaseInfo.
+  */
+  get leaseDuration() {
+    return this.instance.leaseInfo.durationInSecs * 1000;
+  }
+
+  /*
+    Returns the milliseconds until the lease expires, negative once it has
+    expired, or undefined if the instance has never registered.
+  */
+  leaseExpiresIn() {
+    if (this.lastRenewal === undefined) return undefined;
+    return this.lastRenewal + this.leaseDuration - Date.now();
+  }
+
+  /*
+    Returns a summary of the registration and its heartbeats.
+  */
+  getStatus() {
+    const leaseExpiresIn = this.leaseExpiresIn();
+    return {
+      status: this.instance.status,
+      registered: this.registered,
+      registering: Boolean(this.registering),
+      lastRenewal: this.lastRenewal,
+      heartbeatFailures: this.heartbeatFailures,
+      leaseExpiresIn,
+      leaseAtRisk: this.heartbeatFailures > 0 && leaseExpiresIn !== undefined &&
+        leaseExpiresIn <= this.config.eureka.heartbeatInterval,
+    };
+  }
+}
@@ -0,0 +1,113 @@
+import { instanceKey, splitVipAddress } from './deltaUtils';
+
+// Secondary indices and the instance property each one is keyed by:
+const INDICES = {
+  app: instance => (instance.app ? [instance.app.toUpperCase()] : []),
+  vip: instance => splitVipAddress(instance.vipAddress),
+  svip: instance => splitVipAddress(instance.secureVipAddress),
+};
+
+// Returns true if both instances belong to the same apps and vipAddresses:
+function sameGroups(a, b) {
+  return Object.keys(INDICES).every(index => (
+    INDICES[index](a).join(',') === INDICES[index](b).join(',')
+  ));
+}
+
+/*
+  Local copy of the registry. Instances are indexed by their instance key (see
+  deltaUtils.instanceKey), with secondary indices of instance arrays by app,
+  vipAddress and secureVipAddress:
+
+    cache.app.MYAPP, cache.vip['my-vip'], cache.svip['my-secure-vip']
+
+  Each instance remembers its position within each array, so that adding,
+  modifying and removing an instance takes constant time. Removing an instance
+  moves the last instance of each array into its place, so the order of the
+  arrays is not preserved.
+ */
+export default class RegistryCache {
+  constructor(instances = []) {
+    this.instances = {};
+    this.positions = {};
+    Object.keys(INDICES).forEach((index) => {
+      this[index] = {};
+    });
+    instances.forEach(instance => this.add(instance));
+  }
+
+  get size() {
+    return Object.keys(this.instances).length;
+  }
+
+  get(key) {
+    return this.instances[key];
+  }
+
+  has(instance) {
+    return Boolean(this.instances[instanceKey(instance)]);
+  }
+
+  /*
+    Returns every cached instance.
+  */
+  values() {
+    return Object.keys(this.instances).map(key => this.instances[key]);
+  }
+
+  /*
+    Adds an instance, replacing any cached instance with the same key. An
+    instance which keeps its app and vipAddresses keeps its positions.
+  */
+  add(instance) {
+    const key = instanceKey(instance);
+    const existing = this.instances[key];
+    if (existing && sameGroups(existing, instance)) {
+      const positions = this.positions[key];
+      Object.keys(positions).forEach((index) => {
+        Object.keys(positions[index]).forEach((group) => {
+          this[index][group][positions[index][group]] = instance;
+        });
+      });
+      this.instances[key] = instance;
+      return;
+    }
+    if (existing) this.remove(existing);
+    const positions = {};
+    Object.keys(INDICES).forEach((index) => {
+      positions[index] = {};
+      INDICES[index](instance).forEach((group) => {
+        if (!this[index][group]) this[index][group] = [];
+        if (positions[index][group] !== undefined) return;
+        positions[index][group] = this[index][group].length;
+        this[index][group].push(instance);
+      });
+    });
+    this.instances[key] = instance;
+    this.positions[key] = positions;
+  }
+
+  /*
+    Removes the cached instance with the same key as the given instance.
+    Returns true if an instance was removed.
+  */
+  remove(instance) {
+    const key = instanceKey(instance);
+    const positions = this.positions[key];
+    if (!positions) return false;
+    Object.keys(positions).forEach((index) => {
+      Object.keys(positions[index]).forEach((group) => {
+        const instances = this[index][group];
+        const position = positions[index][group];
+        const last = instances.pop();
+        if (position < instances.length) {
+          instances[position] = last;
+          this.positions[instanceKey(last)][index][group] = position;
+        }
+      });
+    });
+    delete this.instances[key];
+    delete this.positions[key];
+    return true;
+  }
+}
@@ -0,0 +1,179 @@
+import http from 'http';
+import url from 'url';
+import request from 'request';
+import { merge, pick } from 'lodash';
+import Eureka from './EurekaClient';
+import { toPromise } from './promiseUtils';
+import { instanceBaseUrl, portValue } from './serviceUrlUtils';
+
+// Configuration values under `sidecar`, alongside the client configuration:
+const DEFAULT_CONFIG = {
+  host: '127.0.0.1',
+  port: 8078,
+};
+
+// Query parameters passed on to the client as lookup options:
+const LOOKUP_OPTIONS = ['region', 'strategy', 'zone'];
+
+// Returns the properties of an instance a non-Node application needs to call it:
+function describeInstance(instance) {
+  return {
+    instanceId: instance.instanceId,
+    app: instance.app,
+    hostName: instance.hostName,
+    ipAddr: instance.ipAddr,
+    port: portValue(instance.port),
+    securePort: portValue(instance.securePort),
+    status: instance.status,
+    url: instanceBaseUrl(instance),
+    metadata: instance.metadata || {},
+  };
+}
+
+function sendJson(res, statusCode, body) {
+  const data = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(data),
+  });
+  res.end(data);
+}
+
+/*
+  Registers a co-located application written in any language with Eureka, and
+  serves a local HTTP API for it to look up other instances, similar to Netflix
+  Prana. The application is health checked over HTTP before each heartbeat (or
+  every eureka.healthCheckInterval), and its Eureka status follows the result.
+
+  Routes:
+    GET /hosts/{vipAddress} - instances of a vipAddress
+    GET /apps/{appId} - instances of an app
+    GET /instance/choose/{vipAddress} - one instance chosen by the load balancer
+    GET /status - the client status, see Eureka.getStatus
+    PUT /status/{status} - overrides the instance status
+    DELETE /status - removes the status override
+
+  Lookups accept `region`, `strategy` and `zone` query parameters.
+
+  Configuration (sidecar), next to the client configuration:
+    host - address to serve the API on, 127.0.0.1 by default
+    port - port to serve the API on, 8078 by default
+    healthCheckUrl - URL of the application to health check, defaulting to
+      instance.healthCheckUrl. 2xx responses are UP, anything else DOWN.
+ */
+export default class Sidecar {
+  constructor(config = {}) {
+    this.client = new Eureka(config);
+    this.logger = this.client.logger;
+    this.config = merge({}, DEFAULT_CONFIG, this.client.config.sidecar);
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    const healthCheckUrl = this.config.healthCheckUrl || this.client.config.instance.healthCheckUrl;
+    if (healthCheckUrl) {
+      this.client.addHealthIndicator('application', done => this.checkHealth(healthCheckUrl, done));
+    } else {
+      this.logger.warn('No sidecar.healthCheckUrl or instance.healthCheckUrl configured, ' +
+        'the application will not be health checked');
+    }
+    this.client.addShutdownHook(done => this.close(done));
+  }
+
+  /*
+    Serves the API, then starts the client. Shuts down gracefully on SIGTERM
+    and SIGINT, see Eureka.shutdown. Returns a Promise if no callback is provided.
+  */
+  start(callback) {
+    if (!callback) return toPromise(done => this.start(done));
+    const { host, port } = this.config;
+    const onError = error => callback(error);
+    this.server.once('error', onError);
+    this.server.listen(port, host, () => {
+      this.server.removeListener('error', onError);
+      this.listening = true;
+      this.logger.info(`sidecar listening on ${host}:${this.server.address().port}`);
+      this.client.handleShutdownSignals();
+      this.client.start(callback);
+    });
+  }
+
+  /*
+    Stops the client and closes the API. Returns a Promise if no callback is provided.
+  */
+  stop(callback) {
+    if (!callback) return toPromise(done => this.stop(done));
+    this.client.stop((error) => {
+      if (error) this.logger.warn('Error stopping the Eureka Client', error);
+      this.close(() => callback(error || null));
+    });
+  }
+
+  close(callback) {
+    if (!this.listening) return callback();
+    this.listening = false;
+    this.server.close(() => callback());
+  }
+
+  /*
+    Requests the application's health check URL, reporting UP for a 2xx
+    response. The request times out with eureka.healthCheckTimeout.
+  */
+  checkHealth(healthCheckUrl, callback) {
+    request.get({
+      url: healthCheckUrl,
+      timeout: this.client.config.eureka.healthCheckTimeout,
+    }, (error, response) => {
+      if (error) return callback(error);
+      const up = response.statusCode >= 200 && response.statusCode < 300;
+      callback(null, {
+        status: up ? 'UP' : 'DOWN',
+        details: { statusCode: response.statusCode },
+      });
+    });
+  }
+
+  handleRequest(req, res) {
+    const { pathname, query } = url.parse(req.url, true);
+    const options = pick(query, LOOKUP_OPTIONS);
+    try {
+      const segments = pathname.split('/').filter(segment => segment).map(decodeURIComponent);
+      const route = `${req.method} /${segments.slice(0, -1).join('/')}`;
+      const param = segments[segments.length - 1];
+      if (route === 'GET /hosts' && param) {
+        return sendJson(res, 200,
+          this.client.getInstancesByVipAddress(param, options).map(describeInstance));
+      }
+      if (route === 'GET /apps' && param) {
+        return sendJson(res, 200,
+          this.client.getInstancesByAppId(param, options).map(describeInstance));
+      }
+      if (route === 'GET /instance/choose' && param) {
+        const instance = this.client.chooseInstance(param, options);
+        if (!instance) {
+          const error = `No UP instances available for vipAddress: ${param}`;
+          return sendJson(res, 404, { error });
+        }
+        return sendJson(res, 200, describeInstance(instance));
+      }
+      if (req.method === 'GET' && pathname === '/status') {
+        return sendJson(res, 200, this.client.getStatus());
+      }
+      if (route === 'PUT /status' && param) {
+        return this.client.setStatus(param, error => this.sendResult(res, error));
+      }
+      if (req.method === 'DELETE' && pathname === '/status') {
+        return this.client.clearStatusOverride(error => this.sendResult(res, error));
+      }
+    } catch (error) {
+      if (error instanceof RangeError || error instanceof URIError) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      this.logger.warn(`sidecar request ${req.method} ${req.url} failed`, error);
+      return sendJson(res, 500, { error: error.message });
+    }
+    sendJson(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+  }
+
+  sendResult(res, error) {
+    if (error) return sendJson(res, 502, { error: error.message });
+    sendJson(res, 200, this.client.getStatus());
+  }
+}
@@ -4,11 +4,16 @@ export default {
   shouldUseDelta: false,
   eureka: {
     heartbeatInterval: 30000,
+    leaseDuration: 90000,
     registryFetchInterval: 30000,
     maxRetries: 3,
     requestRetryDelay: 500,
     fetchRegistry: true,
     filterUpInstances: true,
+    fetchApps: [],
+    fetchVips: [],
+    fetchSvips: [],
+    fetchRemoteRegionsRegistry: [],
     servicePath: '/eureka/v2/apps/',
     ssl: false,
     useDns: false,
@@ -16,8 +21,37 @@ export default {
     clusterRefreshInterval: 300000,
     fetchMetadata: true,
     registerWithEureka: true,
+    handleShutdownSignals: false,
+    shutdownStrategy: 'deregister',
+    shutdownDrainPeriod: 30000,
+    deregisterTimeout: 5000,
+    registrationRetryInterval: 1000,
+    registrationMaxRetryInterval: 60000,
+    maxRegistrationAttempts: 0,
     useLocalMetadata: false,
     preferIpAddress: false,
+    waitForReadiness: false,
+    readinessCheckInterval: 2000,
+    readinessTimeout: 120000,
+    waitForRegistry: false,
+    waitForApps: [],
+    waitForVips: [],
+    waitForRegistryInterval: 2000,
+    waitForRegistryMaxInterval: 30000,
+    waitForRegistryTimeout: 120000,
+    healthCheckInterval: 0,
+    healthCheckTimeout: 5000,
+    loadBalancerStrategy: 'roundRobin',
+    loadBalancerWeightKey: 'weight',
+    serviceRequestRetries: 1,
+    outlierDetection: {
+      consecutiveFailures: 5,
+      errorRateThreshold: 0.5,
+      minimumRequests: 10,
+      windowSize: 20,
+      baseEjectionTime: 30000,
+      maxEjectionTime: 300000,
+    },
   },
   instance: {},
 };
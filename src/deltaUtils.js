@@ -5,13 +5,135 @@ export function arrayOrObj(mysteryValue) {
   return Array.isArray(mysteryValue) ? mysteryValue : [mysteryValue];
 }
 
-export function findInstance(a) {
-  return b => a.hostName === b.hostName && a.port.$ === b.port.$;
-}
-
 export function normalizeDelta(appDelta) {
+  if (!appDelta) return [];
   return arrayOrObj(appDelta).map((app) => {
     app.instance = arrayOrObj(app.instance);
     return app;
   });
 }
+
+/*
+  Returns an array of vipAddresses from string vipAddress given by eureka
+*/
+export function splitVipAddress(vipAddress) {
+  if (typeof vipAddress !== 'string') {
+    return [];
+  }
+
+  return vipAddress.split(',');
+}
+
+/*
+  Returns a key uniquely identifying an instance within the registry.
+*/
+export function instanceKey(instance) {
+  if (instance.instanceId) return instance.instanceId;
+  const port = instance.port && typeof instance.port === 'object' ? instance.port.$ : instance.port;
+  return `${instance.hostName}:${port}`;
+}
+
+/*
+  Maps every instance in the cache by its instance key.
+*/
+export function indexInstances(cache) {
+  const instances = {};
+  Object.keys(cache.app).forEach((appName) => {
+    cache.app[appName].forEach((instance) => {
+      instances[instanceKey(instance)] = instance;
+    });
+  });
+  return instances;
+}
+
+/*
+  Maps the cached instances with the given instance keys by their key, like
+  indexInstances but only for some instances, e.g. those in a delta.
+*/
+export function indexCachedInstances(cache, keys) {
+  const instances = {};
+  keys.forEach((key) => {
+    const instance = cache.get(key);
+    if (instance) instances[key] = instance;
+  });
+  return instances;
+}
+
+function describeChange(instance) {
+  return { app: instance.app, vipAddress: instance.vipAddress, instance };
+}
+
+/*
+  Compares two instance indexes (see indexInstances) and returns the instances
+  which were added, removed or had their status changed.
+*/
+export function diffRegistry(previous, current) {
+  const changes = { added: [], removed: [], statusChanged: [] };
+  Object.keys(current).forEach((key) => {
+    const instance = current[key];
+    const previousInstance = previous[key];
+    if (!previousInstance) {
+      changes.added.push(describeChange(instance));
+    } else if (previousInstance.status !== instance.status) {
+      changes.statusChanged.push(Object.assign(describeChange(instance), {
+        previousStatus: previousInstance.status,
+      }));
+    }
+  });
+  Object.keys(previous).forEach((key) => {
+    if (!current[key]) changes.removed.push(describeChange(previous[key]));
+  });
+  return changes;
+}
+
+/*
+  Returns true if any instance in both instance indexes (see indexInstances)
+  was updated on the Eureka server in between.
+*/
+export function hasModifiedInstances(previous, current) {
+  return Object.keys(current).some(key => previous[key] && (
+    previous[key].lastUpdatedTimestamp !== current[key].lastUpdatedTimestamp ||
+    previous[key].lastDirtyTimestamp !== current[key].lastDirtyTimestamp
+  ));
+}
+
+/*
+  Computes the reconcile hash code of the given instances the same way as the
+  Eureka server: the number of instances with each status, ordered by status
+  (e.g. `DOWN_1_UP_3_`).
+*/
+export function computeHashCode(instances) {
+  const counts = {};
+  instances.forEach((instance) => {
+    counts[instance.status] = (counts[instance.status] || 0) + 1;
+  });
+  return Object.keys(counts).sort()
+    .map(status => `${status}_${counts[status]}_`)
+    .join('');
+}
+
+/*
+  Returns the number of instances with each status from a reconcile hash code.
+*/
+export function parseHashCode(hashCode) {
+  const counts = {};
+  const pattern = /([A-Z_]+?)_(\d+)_/g;
+  let match = pattern.exec(hashCode);
+  while (match) {
+    counts[match[1]] = Number(match[2]);
+    match = pattern.exec(hashCode);
+  }
+  return counts;
+}
+
+/*
+  Returns the region of an availability zone, using the zones listed for each
+  region in availabilityZones or else by removing the zone letter (e.g.
+  us-east-1c is in us-east-1).
+*/
+export function zoneToRegion(zone, availabilityZones = {}) {
+  const region = Object.keys(availabilityZones).filter(name => (
+    availabilityZones[name].indexOf(zone) > -1
+  ))[0];
+  return region || zone.replace(/[a-z]+$/, '');
+}
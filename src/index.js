@@ -1,3 +1,5 @@
 import EurekaClient from './EurekaClient';
+import EurekaSidecar from './Sidecar';
 export const Eureka = EurekaClient;
+export const Sidecar = EurekaSidecar;
 export default EurekaClient;
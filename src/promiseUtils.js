@@ -0,0 +1,72 @@
+/*
+  General utilities for exposing callback based methods as Promises.
+*/
+
+/*
+  Calls the given function with a Node-style callback and returns a Promise
+  which is rejected with the error, or resolved with the result, passed back.
+*/
+export function toPromise(fn) {
+  return new Promise((resolve, reject) => {
+    fn((error, result) => {
+      if (error) return reject(error);
+      resolve(result);
+    });
+  });
+}
+
+/*
+  Calls a user supplied function which may either accept a Node-style callback
+  or return a Promise, and passes its outcome to the given callback once.
+*/
+export function fromCallbackOrPromise(fn, callback) {
+  let called = false;
+  const done = (error, result) => {
+    if (called) return;
+    called = true;
+    callback(error, result);
+  };
+  let returned;
+  try {
+    returned = fn(done);
+  } catch (e) {
+    return done(e);
+  }
+  if (returned && typeof returned.then === 'function') {
+    returned.then(result => done(null, result), error => done(error || new Error('rejected')));
+  }
+}
+
+/*
+  Adapts a subscription into an async iterator, for use with `for await`. The
+  subscribe function receives a listener and returns a function to unsubscribe
+  it. Only the most recent value which has not been read yet is kept. Calling
+  `return()` on the iterator unsubscribes.
+*/
+export function toAsyncIterator(subscribe) {
+  const pending = [];
+  const readers = [];
+  let finished = false;
+  const unsubscribe = subscribe((value) => {
+    if (readers.length) return readers.shift()({ value, done: false });
+    pending.splice(0, pending.length, value);
+  });
+  const iterator = {
+    next() {
+      if (pending.length) return Promise.resolve({ value: pending.shift(), done: false });
+      if (finished) return Promise.resolve({ value: undefined, done: true });
+      return new Promise(resolve => readers.push(resolve));
+    },
+    return() {
+      finished = true;
+      unsubscribe();
+      pending.length = 0;
+      readers.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+      return Promise.resolve({ value: undefined, done: true });
+    },
+  };
+  if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = () => iterator;
+  }
+  return iterator;
+}
@@ -0,0 +1,57 @@
+import url from 'url';
+
+/*
+  General utilities for resolving service URLs to registered instances.
+*/
+
+/*
+  Parses a URL which addresses a service rather than a host:
+
+    http://vip/<vipAddress>/path
+    https://vip/<vipAddress>/path
+    eureka://<appId>/path
+
+  Returns the protocol to call the instance with, the vipAddress or appId and
+  the remaining path, or undefined for any other URL.
+*/
+export function parseServiceUrl(serviceUrl) {
+  if (typeof serviceUrl !== 'string') return undefined;
+  const parsed = url.parse(serviceUrl);
+  const search = parsed.search || '';
+  if (parsed.protocol === 'eureka:' && parsed.hostname) {
+    return {
+      protocol: 'http:',
+      appId: parsed.hostname.toUpperCase(),
+      path: (parsed.pathname || '/') + search,
+    };
+  }
+  if ((parsed.protocol === 'http:' || parsed.protocol === 'https:') && parsed.hostname === 'vip') {
+    const match = /^\/([^/]+)(\/.*)?$/.exec(parsed.pathname || '');
+    if (!match) return undefined;
+    return {
+      protocol: parsed.protocol,
+      vipAddress: decodeURIComponent(match[1]),
+      path: (match[2] || '/') + search,
+    };
+  }
+  return undefined;
+}
+
+/*
+  Returns the numeric value of an instance port, which is either a number or an
+  object such as `{ $: 8080, '@enabled': 'true' }`.
+*/
+export function portValue(port) {
+  const value = port && typeof port === 'object' ? port.$ : port;
+  return value === undefined || value === null ? undefined : Number(value);
+}
+
+/*
+  Returns the base URL of an instance for the given protocol, using the
+  securePort for https.
+*/
+export function instanceBaseUrl(instance, protocol = 'http:') {
+  const port = portValue(protocol === 'https:' ? instance.securePort : instance.port);
+  const host = instance.hostName || instance.ipAddr;
+  return port ? `${protocol}//${host}:${port}` : `${protocol}//${host}`;
+}
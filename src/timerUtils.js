@@ -0,0 +1,67 @@
+/*
+  General utilities for scheduling recurring work.
+*/
+
+// Fraction by which heartbeat and registry fetch intervals are shortened at random:
+export const SCHEDULE_JITTER = 0.1;
+
+/*
+  Returns a random delay of at least (1 - ratio) times the given delay, and at
+  most the delay itself.
+*/
+export function jitter(delay, ratio = 0.5) {
+  return Math.round(delay * (1 - ratio * Math.random()));
+}
+
+/*
+  Returns a callback which passes its arguments on to the given callback,
+  unless the given callback has already been called with an error with the
+  given message because timeout milliseconds have passed.
+*/
+export function withTimeout(timeout, message, callback) {
+  let timer;
+  const done = (...args) => {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = undefined;
+    callback(...args);
+  };
+  timer = setTimeout(() => done(new Error(message)), timeout);
+  return done;
+}
+
+/*
+  Calls the task every interval milliseconds, jittered by the given ratio. The
+  task receives a callback, and the next call is only scheduled once the task
+  has called back, or once it has run for interval milliseconds without
+  calling back, so calls never overlap and a hung task does not stop the
+  schedule. Timers are unref'd so they do not keep the process alive. Returns
+  an object whose stop() method cancels the next call.
+*/
+export function repeat(interval, ratio, task) {
+  const schedule = { stopped: false };
+  const next = () => {
+    schedule.running = undefined;
+    if (schedule.stopped) return;
+    schedule.timer = setTimeout(() => {
+      schedule.running = withTimeout(interval, 'Scheduled task timed out', next);
+      task(schedule.running);
+    }, jitter(interval, ratio));
+    if (schedule.timer && schedule.timer.unref) schedule.timer.unref();
+  };
+  schedule.stop = () => {
+    schedule.stopped = true;
+    clearTimeout(schedule.timer);
+    if (schedule.running) schedule.running();
+  };
+  next();
+  return schedule;
+}
+
+/*
+  Returns the delay before retrying after the given attempt (starting at 1),
+  doubling from interval up to maxInterval.
+*/
+export function backoff(attempt, interval, maxInterval) {
+  return Math.min(interval * Math.pow(2, attempt - 1), maxInterval);
+}
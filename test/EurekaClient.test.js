@@ -5,10 +5,14 @@ import sinonChai from 'sinon-chai';
 import request from 'request';
 import { EventEmitter } from 'events';
 import { join } from 'path';
+import fs from 'fs';
+import os from 'os';
 import merge from 'lodash/merge';
 
 import Eureka from '../src/EurekaClient';
+import RegistryCache from '../src/RegistryCache';
 import DnsClusterResolver from '../src/DnsClusterResolver';
+import { indexInstances } from '../src/deltaUtils';
 
 chai.use(sinonChai);
 
@@ -115,6 +119,11 @@ describe('Eureka client', () => {
       expect(client.clusterResolver.constructor).to.equal(DnsClusterResolver);
     });
 
+    it('should throw for an unknown shutdown strategy', () => {
+      expect(() => new Eureka(makeConfig({ eureka: { shutdownStrategy: 'exit' } })))
+        .to.throw(TypeError, 'Unknown shutdown strategy: exit');
+    });
+
     it('should throw when configured to useDns without setting ec2Region', () => {
       function shouldThrow() {
         return new Eureka({
@@ -249,6 +258,7 @@ describe('Eureka client', () => {
     });
 
     it('should return error on start failure', (done) => {
+      client = new Eureka(makeConfig({ eureka: { maxRegistrationAttempts: 1 } }));
       registerSpy = sinon.stub(client, 'register').yields(new Error('fail'));
       fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').callsArg(0);
       heartbeatsSpy = sinon.stub(client, 'startHeartbeats');
@@ -262,6 +272,345 @@ describe('Eureka client', () => {
         done();
       });
     });
+
+    it('should only start heartbeats once registration has succeeded', (done) => {
+      const clock = sinon.useFakeTimers();
+      registerSpy = sinon.stub(client, 'register');
+      registerSpy.onCall(0).yields(new Error('fail'));
+      registerSpy.onCall(1).yields(null);
+      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').callsArg(0);
+      heartbeatsSpy = sinon.stub(client, 'startHeartbeats');
+      registryFetchSpy = sinon.stub(client, 'startRegistryFetches');
+
+      client.start((error) => {
+        expect(error).to.not.exist;
+        expect(registerSpy).to.have.been.calledTwice;
+        expect(heartbeatsSpy).to.have.been.calledAfter(registerSpy);
+        done();
+      });
+      expect(heartbeatsSpy).to.not.have.been.called;
+      clock.tick(1000);
+      clock.restore();
+    });
+
+    it('should register as STARTING and wait for readiness when configured', (done) => {
+      config = makeConfig({
+        eureka: { waitForReadiness: true },
+        readinessCheck: (cb) => cb(null, true),
+      });
+      client = new Eureka(config);
+
+      let registeredStatus;
+      registerSpy = sinon.stub(client, 'register', (cb) => {
+        registeredStatus = client.config.instance.status;
+        cb();
+      });
+      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').callsArg(0);
+      heartbeatsSpy = sinon.stub(client, 'startHeartbeats');
+      registryFetchSpy = sinon.stub(client, 'startRegistryFetches');
+      const readinessSpy = sinon.stub(client, 'waitForReadiness').callsArg(0);
+
+      client.start(() => {
+        expect(registeredStatus).to.equal('STARTING');
+        expect(readinessSpy).to.have.been.calledOnce;
+        expect(readinessSpy).to.have.been.calledAfter(heartbeatsSpy);
+        done();
+      });
+    });
+
+    it('should stop again when the registry fetch fails while waiting for readiness', (done) => {
+      client = new Eureka(makeConfig({
+        eureka: { waitForReadiness: true },
+        readinessCheck: (cb) => cb(null, true),
+      }));
+      const error = new Error('fetch failed');
+      registerSpy = sinon.stub(client, 'register').callsArg(0);
+      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').yields(error);
+      heartbeatsSpy = sinon.spy(client, 'startHeartbeats');
+      registryFetchSpy = sinon.stub(client, 'startRegistryFetches');
+      const readinessSpy = sinon.stub(client, 'waitForReadiness').callsArg(0);
+      const deregisterSpy = sinon.stub(client, 'deregister').yields(null);
+
+      client.start((err) => {
+        expect(err).to.equal(error);
+        expect(readinessSpy).to.not.have.been.called;
+        expect(deregisterSpy).to.have.been.calledOnce;
+        expect(client.heartbeat.stopped).to.be.true;
+        done();
+      });
+    });
+
+    it('should return a Promise when no callback is provided', () => {
+      registerSpy = sinon.stub(client, 'register').callsArg(0);
+      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').callsArg(0);
+      heartbeatsSpy = sinon.stub(client, 'startHeartbeats');
+      registryFetchSpy = sinon.stub(client, 'startRegistryFetches');
+
+      return client.start().then(() => {
+        expect(registerSpy).to.have.been.calledOnce;
+        expect(fetchRegistrySpy).to.have.been.calledOnce;
+      });
+    });
+
+    it('should reject the Promise on start failure', () => {
+      const error = new Error('fail');
+      client = new Eureka(makeConfig({ eureka: { maxRegistrationAttempts: 1 } }));
+      registerSpy = sinon.stub(client, 'register').yields(error);
+      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').callsArg(0);
+      heartbeatsSpy = sinon.stub(client, 'startHeartbeats');
+      registryFetchSpy = sinon.stub(client, 'startRegistryFetches');
+
+      return client.start().then(() => {
+        throw new Error('should not resolve');
+      }, (err) => {
+        expect(err).to.equal(error);
+      });
+    });
+  });
+
+  describe('waitForRegistry()', () => {
+    let client;
+    let clock;
+    const instance = { instanceId: 'a', app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      client = new Eureka(makeConfig({
+        eureka: {
+          waitForApps: ['theapp'],
+          waitForVips: ['thevip'],
+          waitForRegistryInterval: 1000,
+          waitForRegistryMaxInterval: 3000,
+          waitForRegistryTimeout: 10000,
+        },
+      }));
+      sinon.stub(client, 'fetchRegistry').yields(null);
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should call back once all dependencies have instances', () => {
+      client.cache = new RegistryCache([instance]);
+      const callback = sinon.spy();
+      client.waitForRegistry(callback);
+      expect(callback).to.have.been.calledWithExactly();
+      expect(client.fetchRegistry).to.have.been.calledOnce;
+    });
+
+    it('should fetch again with exponential backoff and report progress', () => {
+      const progressSpy = sinon.spy();
+      const callback = sinon.spy();
+      client.on('registryWaitProgress', progressSpy);
+      client.waitForRegistry(callback);
+      expect(progressSpy).to.have.been.calledWithMatch({
+        attempt: 1, missing: ['app theapp', 'vipAddress thevip'], delay: 1000,
+      });
+      clock.tick(1000);
+      expect(client.fetchRegistry).to.have.been.calledTwice;
+      expect(progressSpy.lastCall.args[0].delay).to.equal(2000);
+      clock.tick(2000);
+      expect(progressSpy.lastCall.args[0].delay).to.equal(3000);
+      client.cache = new RegistryCache([instance]);
+      clock.tick(3000);
+      expect(client.fetchRegistry.callCount).to.equal(4);
+      expect(callback).to.have.been.calledWithExactly();
+    });
+
+    it('should fail with the missing dependencies after the timeout', () => {
+      client.cache = new RegistryCache([merge({}, instance, { vipAddress: 'othervip' })]);
+      client.fetchRegistry.yields(new Error('ECONNREFUSED'));
+      const callback = sinon.spy();
+      client.waitForRegistry(callback);
+      clock.tick(10000);
+      const error = callback.args[0][0];
+      expect(error.message).to.equal(
+        'registry was not ready after 10000ms, missing vipAddress thevip, last error: ECONNREFUSED'
+      );
+      expect(error.missing).to.deep.equal(['vipAddress thevip']);
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('should wait for the own vipAddress when no dependencies are configured', () => {
+      client = new Eureka(makeConfig());
+      sinon.stub(client, 'fetchRegistry').yields(null);
+      expect(client.registryDependencies().map(dependency => dependency.name))
+        .to.deep.equal(['vipAddress 1.2.2.3']);
+    });
+
+    it('should wait for a successful fetch without dependencies or registration', () => {
+      client = new Eureka(makeConfig({
+        instance: { vipAddress: undefined },
+        eureka: { registerWithEureka: false, waitForRegistryInterval: 1000 },
+      }));
+      sinon.stub(client, 'fetchRegistry');
+      client.fetchRegistry.onCall(0).yields(new Error('ECONNREFUSED'));
+      client.fetchRegistry.onCall(1).yields(null);
+      const callback = sinon.spy();
+      client.waitForRegistry(callback);
+      expect(callback).to.not.have.been.called;
+      clock.tick(1000);
+      expect(callback).to.have.been.calledWithExactly();
+    });
+
+    it('should be used by start() without registering', () => {
+      client = new Eureka(makeConfig({ eureka: { registerWithEureka: false, waitForRegistry: true } }));
+      sinon.stub(client, 'waitForRegistry').yields();
+      sinon.stub(client, 'startRegistryFetches');
+      const callback = sinon.spy();
+      client.start(callback);
+      expect(client.waitForRegistry).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledOnce;
+    });
+
+    it('should stop waiting when stopped', () => {
+      const callback = sinon.spy();
+      client.config.eureka.registerWithEureka = false;
+      client.waitForRegistry(callback);
+      client.stop(() => {});
+      expect(callback).to.have.been.calledWithMatch({
+        message: 'client stopped while waiting for the registry',
+      });
+      clock.tick(10000);
+      expect(client.fetchRegistry).to.have.been.calledOnce;
+    });
+
+    it('should not fetch again when stopped during a fetch', () => {
+      client.fetchRegistry.restore();
+      sinon.stub(client, 'fetchRegistry');
+      const callback = sinon.spy();
+      client.config.eureka.registerWithEureka = false;
+      client.waitForRegistry(callback);
+      client.stop(() => {});
+      client.fetchRegistry.firstCall.args[0](null);
+      clock.tick(10000);
+      expect(client.fetchRegistry).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWithMatch({
+        message: 'client stopped while waiting for the registry',
+      });
+    });
+  });
+
+  describe('waitForReadiness()', () => {
+    let client;
+    let clock;
+    let readinessCheck;
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      readinessCheck = sinon.stub();
+      client = new Eureka(makeConfig({
+        readinessCheck,
+        eureka: { waitForReadiness: true, readinessCheckInterval: 1000, readinessTimeout: 3000 },
+      }));
+      sinon.stub(client, 'setStatus').yields(null);
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should set status UP once the readiness check passes', () => {
+      readinessCheck.onCall(0).yields(null, false);
+      readinessCheck.onCall(1).yields(new Error('not yet'));
+      readinessCheck.onCall(2).yields(null, true);
+      const readyCb = sinon.spy();
+      client.waitForReadiness(readyCb);
+
+      expect(client.setStatus).to.not.have.been.called;
+      clock.tick(1000);
+      expect(client.setStatus).to.not.have.been.called;
+      clock.tick(1000);
+      expect(readinessCheck).to.have.been.calledThrice;
+      expect(client.setStatus).to.have.been.calledWith('UP');
+      expect(readyCb).to.have.been.calledWithMatch(null);
+    });
+
+    it('should fail and emit readinessTimeout when never ready', () => {
+      readinessCheck.yields(null, false);
+      const eventSpy = sinon.spy();
+      client.on('readinessTimeout', eventSpy);
+      const readyCb = sinon.spy();
+      client.waitForReadiness(readyCb);
+
+      clock.tick(3000);
+      expect(client.setStatus).to.not.have.been.called;
+      expect(eventSpy).to.have.been.calledWith(3000);
+      expect(readyCb).to.have.been.calledWithMatch({
+        message: 'instance was not ready after 3000ms',
+      });
+    });
+
+    it('should stop checking when stopped', () => {
+      readinessCheck.yields(null, false);
+      sinon.stub(client, 'deregister').yields(null);
+      const readyCb = sinon.spy();
+      client.waitForReadiness(readyCb);
+      client.stop(() => {});
+      expect(readyCb).to.have.been.calledWithMatch({
+        message: 'client stopped while waiting for readiness',
+      });
+      clock.tick(10000);
+      expect(readinessCheck).to.have.been.calledOnce;
+    });
+
+    it('should not set status UP once stopped', () => {
+      readinessCheck.onCall(0).yields(null, false);
+      const readyCb = sinon.spy();
+      client.waitForReadiness(readyCb);
+      clock.tick(1000);
+      sinon.stub(client, 'deregister').yields(null);
+      client.stop(() => {});
+      readinessCheck.secondCall.args[0](null, true);
+      clock.tick(10000);
+      expect(readinessCheck).to.have.been.calledTwice;
+      expect(client.setStatus).to.not.have.been.called;
+      expect(readyCb).to.have.been.calledWithMatch({
+        message: 'client stopped while waiting for readiness',
+      });
+    });
+  });
+
+  describe('checkReadiness()', () => {
+    afterEach(() => {
+      if (request.get.restore) request.get.restore();
+    });
+
+    it('should support a readinessCheck returning a Promise', (done) => {
+      const client = new Eureka(makeConfig({
+        readinessCheck: () => Promise.resolve(),
+      }));
+      client.checkReadiness((ready) => {
+        expect(ready).to.equal(true);
+        done();
+      });
+    });
+
+    it('should not be ready when the readinessCheck rejects', (done) => {
+      const client = new Eureka(makeConfig({
+        readinessCheck: () => Promise.reject(new Error('not ready')),
+      }));
+      client.checkReadiness((ready) => {
+        expect(ready).to.equal(false);
+        done();
+      });
+    });
+
+    it('should request the healthCheckUrl without a readinessCheck', () => {
+      const client = new Eureka(makeConfig({
+        instance: { healthCheckUrl: 'http://myhost:9999/health' },
+        eureka: { waitForReadiness: true },
+      }));
+      const stub = sinon.stub(request, 'get');
+      stub.onCall(0).yields(null, { statusCode: 503 }, null);
+      stub.onCall(1).yields(null, { statusCode: 200 }, null);
+      const readyCb = sinon.spy();
+      client.checkReadiness(readyCb);
+      client.checkReadiness(readyCb);
+
+      expect(request.get).to.have.been.calledWithMatch({ url: 'http://myhost:9999/health' });
+      expect(readyCb.firstCall).to.have.been.calledWith(false);
+      expect(readyCb.secondCall).to.have.been.calledWith(true);
+    });
   });
 
   describe('startHeartbeats()', () => {
@@ -272,7 +621,7 @@ describe('Eureka client', () => {
     before(() => {
       config = makeConfig();
       client = new Eureka(config);
-      renewSpy = sinon.stub(client, 'renew');
+      renewSpy = sinon.stub(client, 'renew').yields(null);
       clock = sinon.useFakeTimers();
     });
 
@@ -287,6 +636,172 @@ describe('Eureka client', () => {
       expect(renewSpy).to.have.been.calledOnce;
       clock.tick(30000);
       expect(renewSpy).to.have.been.calledTwice;
+      client.heartbeat.stop();
+    });
+
+    it('should jitter the interval by up to 10%', () => {
+      renewSpy.reset();
+      client.startHeartbeats();
+      clock.tick(26999);
+      expect(renewSpy).to.not.have.been.called;
+      clock.tick(3001);
+      expect(renewSpy).to.have.been.calledOnce;
+      client.heartbeat.stop();
+    });
+
+    it('should not start a heartbeat before the previous one completed', () => {
+      const pendingClient = new Eureka(makeConfig());
+      let complete;
+      const pending = sinon.stub(pendingClient, 'renew', (done) => { complete = done; });
+      pendingClient.startHeartbeats();
+      clock.tick(56999);
+      expect(pending).to.have.been.calledOnce;
+      complete();
+      clock.tick(30000);
+      expect(pending).to.have.been.calledTwice;
+      pendingClient.heartbeat.stop();
+    });
+
+    it('should stop scheduling heartbeats when stopped', () => {
+      renewSpy.reset();
+      client.startHeartbeats();
+      client.heartbeat.stop();
+      clock.tick(90000);
+      expect(renewSpy).to.not.have.been.called;
+    });
+
+    it('should skip heartbeats while registering', () => {
+      renewSpy.reset();
+      client.startHeartbeats();
+      client.registering = true;
+      clock.tick(30000);
+      expect(renewSpy).to.not.have.been.called;
+      client.registering = false;
+      clock.tick(30000);
+      expect(renewSpy).to.have.been.calledOnce;
+      client.heartbeat.stop();
+    });
+
+    it('should run health checks before renew', () => {
+      const healthSpy = sinon.stub(client, 'runHealthChecks').yields(null);
+      client.addHealthIndicator('db', cb => cb(null, true));
+      client.startHeartbeats();
+      clock.tick(30000);
+      expect(healthSpy).to.have.been.calledOnce;
+      expect(healthSpy).to.have.been.calledBefore(renewSpy.lastCall);
+      client.heartbeat.stop();
+      client.removeHealthIndicator('db');
+      healthSpy.restore();
+    });
+  });
+
+  describe('startHealthChecks()', () => {
+    let client;
+    let clock;
+    beforeEach(() => {
+      client = new Eureka(makeConfig({ eureka: { healthCheckInterval: 10000 } }));
+      sinon.stub(client, 'runHealthChecks');
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clearInterval(client.healthCheck);
+      clock.restore();
+    });
+
+    it('should run health checks on interval', () => {
+      client.addHealthIndicator('db', cb => cb(null, true));
+      client.startHealthChecks();
+      clock.tick(10000);
+      expect(client.runHealthChecks).to.have.been.calledOnce;
+      clock.tick(10000);
+      expect(client.runHealthChecks).to.have.been.calledTwice;
+    });
+
+    it('should skip health checks without indicators', () => {
+      client.startHealthChecks();
+      clock.tick(10000);
+      expect(client.runHealthChecks).to.not.have.been.called;
+    });
+  });
+
+  describe('runHealthChecks()', () => {
+    let client;
+    let healthy;
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+      client.config.instance.status = 'UP';
+      healthy = true;
+      client.addHealthIndicator('db', cb => cb(null, healthy));
+      sinon.stub(client, 'setStatus', (status, cb) => {
+        client.config.instance.status = status;
+        cb(null);
+      });
+    });
+
+    it('should emit healthChanged with indicator details', () => {
+      const eventSpy = sinon.spy();
+      client.on('healthChanged', eventSpy);
+      return client.runHealthChecks().then((health) => {
+        expect(health).to.deep.equal({ status: 'UP', indicators: { db: { status: 'UP' } } });
+        expect(eventSpy).to.have.been.calledWith(health);
+        expect(client.setStatus).to.not.have.been.called;
+        return client.runHealthChecks();
+      }).then(() => {
+        expect(eventSpy).to.have.been.calledOnce;
+      });
+    });
+
+    it('should set the instance status from the combined health', () => {
+      healthy = false;
+      return client.runHealthChecks().then((health) => {
+        expect(health.status).to.equal('DOWN');
+        expect(client.setStatus).to.have.been.calledWith('DOWN');
+        healthy = true;
+        return client.runHealthChecks();
+      }).then(() => {
+        expect(client.setStatus).to.have.been.calledWith('UP');
+        expect(client.setStatus).to.have.been.calledTwice;
+      });
+    });
+
+    it('should keep a manual status until health changes', () => (
+      client.runHealthChecks().then(() => {
+        client.config.instance.status = 'OUT_OF_SERVICE';
+        return client.runHealthChecks();
+      }).then(() => {
+        expect(client.setStatus).to.not.have.been.called;
+        expect(client.config.instance.status).to.equal('OUT_OF_SERVICE');
+      })
+    ));
+
+    it('should push the status again after a failed push', () => {
+      client.setStatus.restore();
+      sinon.stub(client, 'eurekaRequest');
+      client.eurekaRequest.onCall(0).yields(new Error('unavailable'));
+      client.eurekaRequest.onCall(1).yields(null, { statusCode: 200 }, null);
+      healthy = false;
+      return client.runHealthChecks().then(() => {
+        throw new Error('should not resolve');
+      }, (error) => {
+        expect(error.message).to.equal('unavailable');
+        expect(client.config.instance.status).to.equal('UP');
+        return client.runHealthChecks();
+      }).then(() => {
+        expect(client.eurekaRequest).to.have.been.calledTwice;
+        expect(client.eurekaRequest.secondCall).to.have.been.calledWithMatch({
+          method: 'PUT', uri: 'app/myhost/status', qs: { value: 'DOWN' },
+        });
+        expect(client.config.instance.status).to.equal('DOWN');
+      });
+    });
+
+    it('should not change the status while STARTING', () => {
+      client.config.instance.status = 'STARTING';
+      healthy = false;
+      return client.runHealthChecks().then(() => {
+        expect(client.setStatus).to.not.have.been.called;
+      });
     });
   });
 
@@ -298,7 +813,7 @@ describe('Eureka client', () => {
     before(() => {
       config = makeConfig();
       client = new Eureka(config);
-      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry');
+      fetchRegistrySpy = sinon.stub(client, 'fetchRegistry').yields(null);
       clock = sinon.useFakeTimers();
     });
 
@@ -313,6 +828,17 @@ describe('Eureka client', () => {
       expect(fetchRegistrySpy).to.have.been.calledOnce;
       clock.tick(30000);
       expect(fetchRegistrySpy).to.have.been.calledTwice;
+      client.registryFetch.stop();
+    });
+
+    it('should keep fetching after a failed fetch', () => {
+      fetchRegistrySpy.reset();
+      fetchRegistrySpy.yields(new Error('fail'));
+      client.startRegistryFetches();
+      clock.tick(60000);
+      expect(fetchRegistrySpy).to.have.been.calledTwice;
+      client.registryFetch.stop();
+      fetchRegistrySpy.yields(null);
     });
   });
 
@@ -352,6 +878,12 @@ describe('Eureka client', () => {
       expect(deregisterSpy).to.not.have.been.called;
       expect(stopCb).to.have.been.calledOnce;
     });
+
+    it('should return a Promise when no callback is provided', () => (
+      client.stop().then(() => {
+        expect(deregisterSpy).to.have.been.calledOnce;
+      })
+    ));
   });
 
   describe('register()', () => {
@@ -397,6 +929,26 @@ describe('Eureka client', () => {
       expect(registerCb).to.have.been.calledWithMatch(null);
     });
 
+    it('should send lease info built from the heartbeat interval and lease duration', () => {
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      client = new Eureka(makeConfig({ eureka: { heartbeatInterval: 10000, leaseDuration: 45000 } }));
+      client.register(() => {});
+      expect(request.post.firstCall.args[0].body.instance.leaseInfo).to.deep.equal({
+        renewalIntervalInSecs: 10,
+        durationInSecs: 45,
+      });
+    });
+
+    it('should prefer configured instance lease info', () => {
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      client = new Eureka(makeConfig({ instance: { leaseInfo: { durationInSecs: 120 } } }));
+      client.register(() => {});
+      expect(request.post.firstCall.args[0].body.instance.leaseInfo).to.deep.equal({
+        renewalIntervalInSecs: 30,
+        durationInSecs: 120,
+      });
+    });
+
     it('should throw error for non-204 response', () => {
       sinon.stub(request, 'post').yields(null, { statusCode: 500 }, null);
       const registerCb = sinon.spy();
@@ -414,6 +966,212 @@ describe('Eureka client', () => {
 
       expect(registerCb).to.have.been.calledWithMatch({ message: 'request error' });
     });
+
+    it('should resolve the Promise when no callback is provided', () => {
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      return client.register().then(() => {
+        expect(request.post).to.have.been.calledOnce;
+      });
+    });
+
+    it('should reject the Promise for non-204 response', () => {
+      sinon.stub(request, 'post').yields(null, { statusCode: 500 }, null);
+      return client.register().then(() => {
+        throw new Error('should not resolve');
+      }, (error) => {
+        expect(error.message).to.equal('eureka registration FAILED: status: 500 body: null');
+      });
+    });
+  });
+
+  describe('registerWithRetries()', () => {
+    let client;
+    let clock;
+    let registerStub;
+    let failedSpy;
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      client = new Eureka(makeConfig({
+        eureka: { registrationRetryInterval: 1000, registrationMaxRetryInterval: 3000 },
+      }));
+      registerStub = sinon.stub(client, 'register').yields(new Error('unavailable'));
+      failedSpy = sinon.spy();
+      client.on('registrationFailed', failedSpy);
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should retry with jittered exponential backoff until registered', () => {
+      const callback = sinon.spy();
+      client.registerWithRetries(callback);
+      expect(failedSpy).to.have.been.calledOnce;
+      expect(failedSpy.firstCall.args[0]).to.include({ attempt: 1 });
+      expect(failedSpy.firstCall.args[0].error.message).to.equal('unavailable');
+      expect(failedSpy.firstCall.args[0].delay).to.be.within(500, 1000);
+      clock.tick(1000);
+      expect(registerStub).to.have.been.calledTwice;
+      expect(failedSpy.secondCall.args[0].delay).to.be.within(1000, 2000);
+      registerStub.yields(null);
+      clock.tick(2000);
+      expect(registerStub).to.have.been.calledThrice;
+      expect(callback).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(client.registering).to.be.false;
+    });
+
+    it('should cap the retry interval', () => {
+      client.registerWithRetries(() => {});
+      clock.tick(1000 + 2000 + 3000 + 3000);
+      expect(failedSpy.callCount).to.be.at.least(5);
+      failedSpy.args.slice(3).forEach(([{ delay }]) => {
+        expect(delay).to.be.within(1500, 3000);
+      });
+    });
+
+    it('should give up after maxRegistrationAttempts', () => {
+      client.config.eureka.maxRegistrationAttempts = 2;
+      const callback = sinon.spy();
+      client.registerWithRetries(callback);
+      clock.tick(1000);
+      expect(registerStub).to.have.been.calledTwice;
+      expect(callback).to.have.been.calledWithMatch({ message: 'unavailable' });
+      expect(failedSpy.secondCall.args[0]).to.include({ attempt: 2 }).and.not.have.property('delay');
+      clock.tick(60000);
+      expect(registerStub).to.have.been.calledTwice;
+    });
+
+    it('should not register twice at the same time', () => {
+      client.registerWithRetries(() => {});
+      const callback = sinon.spy();
+      client.registerWithRetries(callback);
+      expect(callback).to.have.been.calledWithMatch({ message: 'registration already in progress' });
+      expect(registerStub).to.have.been.calledOnce;
+    });
+
+    it('should stop retrying when stopped', () => {
+      sinon.stub(client, 'deregister').yields(null);
+      const callback = sinon.spy();
+      client.registerWithRetries(callback);
+      client.stop(() => {});
+      expect(callback).to.have.been.calledWithMatch({ message: 'registration of app/myhost stopped' });
+      clock.tick(60000);
+      expect(registerStub).to.have.been.calledOnce;
+      expect(client.registering).to.be.false;
+    });
+
+    it('should stop retrying when stopped during an attempt', () => {
+      sinon.stub(client, 'deregister').yields(null);
+      registerStub.restore();
+      registerStub = sinon.stub(client, 'register');
+      const callback = sinon.spy();
+      client.registerWithRetries(callback);
+      client.stop(() => {});
+      registerStub.firstCall.args[0](new Error('unavailable'));
+      clock.tick(60000);
+      expect(registerStub).to.have.been.calledOnce;
+      expect(failedSpy).to.not.have.been.called;
+      expect(callback).to.have.been.calledWithMatch({ message: 'registration of app/myhost stopped' });
+      expect(client.registering).to.be.false;
+    });
+
+    it('should de-register again when an attempt succeeds after stopping', () => {
+      sinon.stub(client, 'deregister').yields(null);
+      registerStub.restore();
+      registerStub = sinon.stub(client, 'register');
+      const callback = sinon.spy();
+      client.start(callback);
+      client.stop(() => {});
+      registerStub.firstCall.args[0](null);
+      expect(client.deregister).to.have.been.calledTwice;
+      expect(callback).to.have.been.calledWithMatch({ message: 'registration of app/myhost stopped' });
+      expect(registerStub).to.have.been.calledOnce;
+    });
+
+    it('should not register once stopped', () => {
+      sinon.stub(client, 'deregister').yields(null);
+      client.stop(() => {});
+      const callback = sinon.spy();
+      client.registerWithRetries(callback);
+      expect(registerStub).to.not.have.been.called;
+      expect(callback).to.have.been.calledWithMatch({ message: 'registration of app/myhost stopped' });
+    });
+  });
+
+  describe('addRegistration()', () => {
+    let client;
+    let registration;
+    beforeEach(() => {
+      client = new Eureka(makeConfig({ eureka: { registerWithEureka: false, fetchRegistry: false } }));
+      registration = client.addRegistration({ app: 'orders', vipAddress: 'orders', port: 8081 });
+      sinon.stub(registration, 'start').yields(null);
+      sinon.stub(registration, 'stop').yields(null);
+      sinon.stub(registration, 'setStatus').yields(null);
+      sinon.stub(registration, 'getStatus').returns({ instanceId: 'myhost:orders:8081' });
+    });
+
+    it('should create registrations sharing the client', () => {
+      expect(registration.client).to.equal(client);
+      expect(registration.instanceId).to.equal('myhost:orders:8081');
+      expect(client.registrations).to.deep.equal([registration]);
+    });
+
+    it('should start registrations with the client', () => (
+      client.start().then(() => {
+        expect(registration.start).to.have.been.calledOnce;
+      })
+    ));
+
+    it('should fail to start if a registration fails', () => {
+      const error = new Error('unavailable');
+      registration.start.yields(error);
+      return client.start().then(() => {
+        throw new Error('should not resolve');
+      }, (err) => {
+        expect(err).to.equal(error);
+      });
+    });
+
+    it('should stop registrations with the client', () => {
+      const deregister = sinon.stub(client, 'deregister').yields(null);
+      client.config.eureka.registerWithEureka = true;
+      const callback = sinon.spy();
+      client.stop(callback);
+      expect(deregister).to.have.been.calledOnce;
+      expect(registration.stop).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWithExactly(null);
+    });
+
+    it('should take registrations out of service during shutdown', () => {
+      const clock = sinon.useFakeTimers();
+      client.config.eureka.shutdownStrategy = 'outOfService';
+      client.config.eureka.shutdownDrainPeriod = 1000;
+      const callback = sinon.spy();
+      client.shutdown(callback);
+      expect(registration.setStatus).to.have.been.calledWith('OUT_OF_SERVICE');
+      expect(registration.stop).to.not.have.been.called;
+      clock.tick(1000);
+      expect(registration.stop).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWithExactly(null);
+      clock.restore();
+    });
+
+    it('should include registrations in getStatus()', () => {
+      expect(client.getStatus().registrations).to.deep.equal([{ instanceId: 'myhost:orders:8081' }]);
+    });
+
+    it('should remove and stop registrations', () => {
+      const callback = sinon.spy();
+      client.removeRegistration(registration, callback);
+      expect(registration.stop).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(client.registrations).to.be.empty;
+      client.removeRegistration(registration, callback);
+      expect(callback.secondCall).to.have.been.calledWithMatch({
+        message: 'Unknown registration: myhost:orders:8081',
+      });
+    });
   });
 
   describe('deregister()', () => {
@@ -432,8 +1190,8 @@ describe('Eureka client', () => {
       sinon.stub(request, 'delete').yields(null, { statusCode: 200 }, null);
       const eventSpy = sinon.spy();
       client.on('deregistered', eventSpy);
-      client.register();
-      client.deregister();
+      client.deregister(() => {});
+      expect(eventSpy).to.have.been.calledOnce;
     });
 
     it('should call deregister URI', () => {
@@ -466,29 +1224,442 @@ describe('Eureka client', () => {
 
       expect(deregisterCb).to.have.been.calledWithMatch({ message: 'request error' });
     });
+
+    it('should reject the Promise for request error', () => {
+      const requestError = new Error('request error');
+      sinon.stub(request, 'delete').yields(requestError, null, null);
+      return client.deregister().then(() => {
+        throw new Error('should not resolve');
+      }, (error) => {
+        expect(error).to.equal(requestError);
+      });
+    });
+
+    it('should time out if eureka does not respond', () => {
+      const clock = sinon.useFakeTimers();
+      sinon.stub(request, 'delete');
+      client.config.eureka.deregisterTimeout = 1000;
+      const deregisterCb = sinon.spy();
+      client.deregister(deregisterCb);
+      clock.tick(999);
+      expect(deregisterCb).to.not.have.been.called;
+      clock.tick(1);
+      expect(deregisterCb).to.have.been.calledWithMatch({
+        message: 'eureka deregistration timed out after 1000ms',
+      });
+      request.delete.yield(null, { statusCode: 200 }, null);
+      expect(deregisterCb).to.have.been.calledOnce;
+      clock.restore();
+    });
   });
 
-  describe('renew()', () => {
-    let config;
+  describe('shutdown()', () => {
     let client;
+    let clock;
+    let events;
     beforeEach(() => {
-      config = makeConfig();
-      client = new Eureka(config);
+      clock = sinon.useFakeTimers();
+      client = new Eureka(makeConfig({ eureka: { shutdownDrainPeriod: 10000 } }));
+      events = [];
+      sinon.stub(client, 'deregister', (cb) => {
+        events.push('deregister');
+        cb(null);
+      });
+      sinon.stub(client, 'setStatus', (status, cb) => {
+        events.push(status);
+        cb(null);
+      });
+      client.addShutdownHook((cb) => {
+        events.push('hook');
+        cb();
+      });
     });
 
     afterEach(() => {
-      request.put.restore();
+      clock.restore();
     });
 
-    it('should call heartbeat URI', () => {
-      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
-      client.renew();
-
-      expect(request.put).to.have.been.calledWithMatch({
-        baseUrl: 'http://127.0.0.1:9999/eureka/v2/apps/',
-        uri: 'app/myhost',
+    it('should deregister, drain and then run shutdown hooks', () => {
+      const callback = sinon.spy();
+      const complete = sinon.spy();
+      client.on('shutdownComplete', complete);
+      client.shutdown(callback);
+      expect(events).to.deep.equal(['deregister']);
+      clock.tick(9999);
+      expect(events).to.deep.equal(['deregister']);
+      clock.tick(1);
+      expect(events).to.deep.equal(['deregister', 'hook']);
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(complete).to.have.been.calledOnce;
+    });
+
+    it('should set OUT_OF_SERVICE and deregister after the drain period', () => {
+      client.config.eureka.shutdownStrategy = 'outOfService';
+      const callback = sinon.spy();
+      client.shutdown(callback);
+      expect(events).to.deep.equal(['OUT_OF_SERVICE']);
+      clock.tick(10000);
+      expect(events).to.deep.equal(['OUT_OF_SERVICE', 'hook', 'deregister']);
+      expect(callback).to.have.been.calledWithExactly(null);
+    });
+
+    it('should drain when setting OUT_OF_SERVICE does not answer in time', () => {
+      client.config.eureka.shutdownStrategy = 'outOfService';
+      client.config.eureka.deregisterTimeout = 1000;
+      client.setStatus.restore();
+      sinon.stub(client, 'setStatus');
+      const warnSpy = sinon.spy(client.logger, 'warn');
+      const callback = sinon.spy();
+      client.shutdown(callback);
+      clock.tick(10999);
+      expect(events).to.deep.equal([]);
+      clock.tick(1);
+      expect(warnSpy).to.have.been.calledWithMatch('Error setting OUT_OF_SERVICE', {
+        message: 'setting OUT_OF_SERVICE timed out after 1000ms',
       });
-    });
+      expect(events).to.deep.equal(['hook', 'deregister']);
+      expect(callback).to.have.been.calledWithExactly(null);
+      warnSpy.restore();
+    });
+
+    it('should continue when eureka fails', () => {
+      client.deregister.restore();
+      sinon.stub(client, 'deregister').yields(new Error('unavailable'));
+      const callback = sinon.spy();
+      client.shutdown(callback);
+      clock.tick(10000);
+      expect(events).to.deep.equal(['hook']);
+      expect(callback).to.have.been.calledWithExactly(null);
+    });
+
+    it('should run every hook and pass back the first hook error', () => {
+      const error = new Error('hook failed');
+      client.addShutdownHook(() => Promise.reject(error));
+      client.addShutdownHook((cb) => {
+        events.push('last hook');
+        cb();
+      });
+      return new Promise((resolve) => {
+        client.shutdown((err) => {
+          expect(err).to.equal(error);
+          expect(events).to.deep.equal(['deregister', 'hook', 'last hook']);
+          resolve();
+        });
+        clock.tick(10000);
+      });
+    });
+
+    it('should only shut down once at a time', () => {
+      client.shutdown(() => {});
+      const callback = sinon.spy();
+      client.shutdown(callback);
+      expect(callback).to.have.been.calledWithMatch({ message: 'shutdown already in progress' });
+    });
+
+    it('should throw for hooks which are not functions', () => {
+      expect(() => client.addShutdownHook('hook')).to.throw(TypeError);
+    });
+  });
+
+  describe('handleShutdownSignals()', () => {
+    let client;
+    beforeEach(() => {
+      client = new Eureka(makeConfig({ eureka: { handleShutdownSignals: true } }));
+      sinon.stub(client, 'shutdown').yields(null);
+      sinon.stub(process, 'kill');
+    });
+
+    afterEach(() => {
+      client.removeSignalHandlers();
+      process.kill.restore();
+    });
+
+    it('should be installed by start()', () => {
+      const listeners = process.listenerCount('SIGTERM');
+      sinon.stub(client, 'register').yields(null);
+      sinon.stub(client, 'fetchRegistry').yields(null);
+      sinon.stub(client, 'startHeartbeats');
+      sinon.stub(client, 'startRegistryFetches');
+      client.start(() => {});
+      expect(process.listenerCount('SIGTERM')).to.equal(listeners + 1);
+    });
+
+    it('should shut down and raise the signal again', () => {
+      client.handleShutdownSignals();
+      process.emit('SIGTERM');
+      expect(client.shutdown).to.have.been.calledOnce;
+      expect(process.kill).to.have.been.calledWithExactly(process.pid, 'SIGTERM');
+    });
+
+    it('should not raise the signal again if the application handles it', () => {
+      const listener = sinon.spy();
+      process.on('SIGTERM', listener);
+      client.handleShutdownSignals();
+      process.emit('SIGTERM');
+      process.removeListener('SIGTERM', listener);
+      expect(client.shutdown).to.have.been.calledOnce;
+      expect(process.kill).to.not.have.been.called;
+    });
+
+    it('should stop handling signals once a signal is received', () => {
+      const listeners = process.listenerCount('SIGINT');
+      client.handleShutdownSignals();
+      expect(process.listenerCount('SIGINT')).to.equal(listeners + 1);
+      process.emit('SIGTERM');
+      expect(process.listenerCount('SIGINT')).to.equal(listeners);
+    });
+
+    it('should stop handling signals when stopped', () => {
+      const listeners = process.listenerCount('SIGTERM');
+      sinon.stub(client, 'deregister').yields(null);
+      client.handleShutdownSignals();
+      client.stop(() => {});
+      expect(process.listenerCount('SIGTERM')).to.equal(listeners);
+    });
+  });
+
+  describe('setStatus()', () => {
+    let config;
+    let client;
+    beforeEach(() => {
+      config = makeConfig();
+      client = new Eureka(config);
+      client.config.instance.status = 'UP';
+    });
+
+    afterEach(() => {
+      if (request.put.restore) request.put.restore();
+    });
+
+    it('should call status URI', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      const statusCb = sinon.spy();
+      client.setStatus('OUT_OF_SERVICE', statusCb);
+
+      expect(request.put).to.have.been.calledWithMatch({
+        baseUrl: 'http://127.0.0.1:9999/eureka/v2/apps/',
+        uri: 'app/myhost/status',
+        qs: { value: 'OUT_OF_SERVICE' },
+      });
+      expect(client.config.instance.status).to.equal('OUT_OF_SERVICE');
+      expect(statusCb).to.have.been.calledWithMatch(null);
+    });
+
+    it('should trigger statusChanged event', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      const eventSpy = sinon.spy();
+      client.on('statusChanged', eventSpy);
+      client.setStatus('DOWN', () => {});
+
+      expect(eventSpy).to.have.been.calledWithExactly('DOWN', 'UP');
+    });
+
+    it('should not trigger statusChanged event if status is unchanged', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      const eventSpy = sinon.spy();
+      client.on('statusChanged', eventSpy);
+      client.setStatus('UP', () => {});
+
+      expect(eventSpy).to.not.have.been.called;
+    });
+
+    it('should register with the updated status', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      client.setStatus('OUT_OF_SERVICE', () => {});
+      client.register(() => {});
+
+      expect(request.post).to.have.been.calledWithMatch({
+        body: { instance: { status: 'OUT_OF_SERVICE' } },
+      });
+      request.post.restore();
+    });
+
+    it('should throw error for non-200 response', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 500 }, null);
+      const statusCb = sinon.spy();
+      client.setStatus('DOWN', statusCb);
+
+      expect(statusCb).to.have.been.calledWithMatch({
+        message: 'eureka status update FAILED: status: 500 body: null',
+      });
+    });
+
+    it('should throw error for request error', () => {
+      sinon.stub(request, 'put').yields(new Error('request error'), null, null);
+      const statusCb = sinon.spy();
+      client.setStatus('DOWN', statusCb);
+
+      expect(statusCb).to.have.been.calledWithMatch({ message: 'request error' });
+    });
+
+    it('should throw an exception for an invalid status', () => {
+      function badStatus() {
+        client.setStatus('SIDEWAYS', () => {});
+      }
+      expect(badStatus).to.throw(RangeError);
+    });
+
+    it('should only update locally if registration disabled', () => {
+      config = makeConfig({
+        eureka: {
+          registerWithEureka: false,
+        },
+      });
+      client = new Eureka(config);
+      sinon.stub(request, 'put');
+      const eventSpy = sinon.spy();
+      client.on('statusChanged', eventSpy);
+
+      return client.setStatus('DOWN').then(() => {
+        expect(request.put).to.not.have.been.called;
+        expect(client.config.instance.status).to.equal('DOWN');
+        expect(eventSpy).to.have.been.calledOnce;
+      });
+    });
+  });
+
+  describe('clearStatusOverride()', () => {
+    let config;
+    let client;
+    beforeEach(() => {
+      config = makeConfig();
+      client = new Eureka(config);
+      client.config.instance.status = 'OUT_OF_SERVICE';
+    });
+
+    afterEach(() => {
+      request.delete.restore();
+    });
+
+    it('should call status URI', () => {
+      sinon.stub(request, 'delete').yields(null, { statusCode: 200 }, null);
+      const eventSpy = sinon.spy();
+      client.on('statusChanged', eventSpy);
+
+      return client.clearStatusOverride().then(() => {
+        expect(request.delete).to.have.been.calledWithMatch({
+          baseUrl: 'http://127.0.0.1:9999/eureka/v2/apps/',
+          uri: 'app/myhost/status',
+          qs: { value: 'UP' },
+        });
+        expect(client.config.instance.status).to.equal('UP');
+        expect(eventSpy).to.have.been.calledWithExactly('UP', 'OUT_OF_SERVICE');
+      });
+    });
+
+    it('should throw error for non-200 response', () => {
+      sinon.stub(request, 'delete').yields(null, { statusCode: 404 }, null);
+      const statusCb = sinon.spy();
+      client.clearStatusOverride(statusCb);
+
+      expect(statusCb).to.have.been.calledWithMatch({
+        message: 'eureka status update FAILED: status: 404 body: null',
+      });
+    });
+  });
+
+  describe('updateMetadata()', () => {
+    let client;
+    beforeEach(() => {
+      client = new Eureka(makeConfig({ instance: { metadata: { build: '1' } } }));
+    });
+
+    afterEach(() => {
+      request.put.restore();
+    });
+
+    it('should call metadata URI with a key and value', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      const metadataCb = sinon.spy();
+      client.updateMetadata('canary', 'true', metadataCb);
+
+      expect(request.put).to.have.been.calledWithMatch({
+        baseUrl: 'http://127.0.0.1:9999/eureka/v2/apps/',
+        uri: 'app/myhost/metadata',
+        qs: { canary: 'true' },
+      });
+      expect(client.config.instance.metadata).to.deep.equal({ build: '1', canary: 'true' });
+      expect(metadataCb).to.have.been.calledWithMatch(null);
+    });
+
+    it('should call metadata URI with an object of values', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      const eventSpy = sinon.spy();
+      client.on('metadataUpdated', eventSpy);
+
+      return client.updateMetadata({ build: '2', canary: 'false' }).then(() => {
+        expect(request.put).to.have.been.calledWithMatch({
+          qs: { build: '2', canary: 'false' },
+        });
+        expect(client.config.instance.metadata).to.deep.equal({ build: '2', canary: 'false' });
+        expect(client.pendingMetadata).to.be.empty;
+        expect(eventSpy).to.have.been.calledWith({ build: '2', canary: 'false' });
+      });
+    });
+
+    it('should keep failed values pending and send them with the next update', () => {
+      const stub = sinon.stub(request, 'put');
+      stub.onCall(0).yields(null, { statusCode: 404 }, null);
+      stub.onCall(1).yields(null, { statusCode: 200 }, null);
+      const metadataCb = sinon.spy();
+      client.updateMetadata('build', '2', metadataCb);
+
+      expect(metadataCb).to.have.been.calledWithMatch({
+        message: 'eureka metadata update FAILED: status: 404 body: null',
+      });
+      expect(client.pendingMetadata).to.deep.equal({ build: '2' });
+
+      client.updateMetadata('canary', 'true', metadataCb);
+      expect(stub.secondCall).to.have.been.calledWithMatch({
+        qs: { build: '2', canary: 'true' },
+      });
+      expect(client.pendingMetadata).to.be.empty;
+    });
+
+    it('should throw an exception if no key is provided', () => {
+      sinon.stub(request, 'put');
+      expect(() => client.updateMetadata()).to.throw(RangeError);
+    });
+  });
+
+  describe('renew()', () => {
+    let config;
+    let client;
+    beforeEach(() => {
+      config = makeConfig();
+      client = new Eureka(config);
+    });
+
+    afterEach(() => {
+      request.put.restore();
+    });
+
+    it('should call heartbeat URI', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      client.renew();
+
+      expect(request.put).to.have.been.calledWithMatch({
+        baseUrl: 'http://127.0.0.1:9999/eureka/v2/apps/',
+        uri: 'app/myhost',
+      });
+    });
+
+    it('should call back once the heartbeat completed', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
+      const renewCb = sinon.spy();
+      client.renew(renewCb);
+      expect(renewCb).to.have.been.calledWithExactly(null);
+    });
+
+    it('should call back with an error if the heartbeat failed', () => {
+      sinon.stub(request, 'put').yields(null, { statusCode: 500 }, 'unavailable');
+      const renewCb = sinon.spy();
+      client.renew(renewCb);
+      expect(renewCb).to.have.been.calledWithMatch({
+        message: 'eureka heartbeat FAILED: status: 500 body: unavailable',
+      });
+    });
 
     it('should trigger a heartbeat event', () => {
       sinon.stub(request, 'put').yields(null, { statusCode: 200 }, null);
@@ -524,6 +1695,146 @@ describe('Eureka client', () => {
         baseUrl: 'http://127.0.0.1:9999/eureka/v2/apps/',
         uri: 'app',
       });
+      request.post.restore();
+    });
+
+    it('should keep retrying registration after a 404', () => {
+      const clock = sinon.useFakeTimers();
+      sinon.stub(request, 'put').yields(null, { statusCode: 404 }, null);
+      const postStub = sinon.stub(request, 'post');
+      postStub.onCall(0).yields(null, { statusCode: 500 }, null);
+      postStub.onCall(1).yields(null, { statusCode: 204 }, null);
+      const registered = sinon.spy();
+      client.on('registered', registered);
+      client.renew();
+      expect(client.registering).to.be.true;
+      clock.tick(1000);
+      expect(postStub).to.have.been.calledTwice;
+      expect(registered).to.have.been.calledOnce;
+      expect(client.registering).to.be.false;
+      request.post.restore();
+      clock.restore();
+    });
+
+    it('should re-apply pending metadata after re-registering', () => {
+      const putStub = sinon.stub(request, 'put');
+      putStub.onCall(0).yields(null, { statusCode: 404 }, null);
+      putStub.onCall(1).yields(null, { statusCode: 404 }, null);
+      putStub.onCall(2).yields(null, { statusCode: 200 }, null);
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      client.updateMetadata('build', '2', () => {});
+      client.renew();
+
+      expect(putStub.thirdCall).to.have.been.calledWithMatch({
+        uri: 'app/myhost/metadata',
+        qs: { build: '2' },
+      });
+      expect(client.pendingMetadata).to.be.empty;
+      request.post.restore();
+    });
+  });
+
+  describe('heartbeat failures', () => {
+    let client;
+    let clock;
+    beforeEach(() => {
+      clock = sinon.useFakeTimers(1000);
+      client = new Eureka(makeConfig({
+        instance: { leaseInfo: { durationInSecs: 90 } },
+      }));
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      sinon.stub(request, 'put').yields(null, { statusCode: 500 }, 'unavailable');
+      client.register(() => {});
+    });
+
+    afterEach(() => {
+      request.post.restore();
+      request.put.restore();
+      clock.restore();
+    });
+
+    it('should count consecutive failures and emit heartbeatFailed', () => {
+      const failed = sinon.spy();
+      client.on('heartbeatFailed', failed);
+      client.renew();
+      client.renew();
+      expect(failed).to.have.been.calledTwice;
+      expect(failed.secondCall).to.have.been.calledWithMatch({
+        consecutiveFailures: 2, statusCode: 500, lastRenewal: 1000,
+      });
+      expect(client.getStatus().heartbeatFailures).to.equal(2);
+
+      request.put.yields(null, { statusCode: 200 }, null);
+      clock.tick(30000);
+      client.renew();
+      expect(client.getStatus()).to.include({ heartbeatFailures: 0, lastRenewal: 31000 });
+    });
+
+    it('should pass request errors to heartbeatFailed', () => {
+      const error = new Error('ECONNREFUSED');
+      const failed = sinon.spy();
+      client.on('heartbeatFailed', failed);
+      request.put.yields(error, null, null);
+      client.renew();
+      expect(failed).to.have.been.calledWithMatch({ consecutiveFailures: 1, error });
+    });
+
+    it('should emit leaseAtRisk once the lease expires before the next heartbeat', () => {
+      const atRisk = sinon.spy();
+      client.on('leaseAtRisk', atRisk);
+      clock.tick(30000);
+      client.renew();
+      expect(atRisk).to.not.have.been.called;
+      clock.tick(30000);
+      client.renew();
+      expect(atRisk).to.have.been.calledOnce;
+      expect(atRisk).to.have.been.calledWithExactly({
+        consecutiveFailures: 2, lastRenewal: 1000, leaseExpiresIn: 30000,
+      });
+      expect(client.getStatus().leaseAtRisk).to.be.true;
+    });
+
+    it('should read the lease duration from the lease info', () => {
+      expect(client.leaseDuration).to.equal(90000);
+      client.config.instance.leaseInfo.durationInSecs = 30;
+      expect(client.leaseDuration).to.equal(30000);
+    });
+  });
+
+  describe('getStatus()', () => {
+    it('should summarize registration, heartbeats and the registry', () => {
+      const client = new Eureka(makeConfig());
+      expect(client.getStatus()).to.deep.equal({
+        status: undefined,
+        registered: false,
+        registering: false,
+        lastRenewal: undefined,
+        heartbeatFailures: 0,
+        leaseExpiresIn: undefined,
+        leaseAtRisk: false,
+        hasFullRegistry: false,
+        registryVersion: 0,
+        registryStale: false,
+        hashCodeMismatches: 0,
+        registrations: [],
+      });
+    });
+
+    it('should reflect registration and deregistration', () => {
+      const clock = sinon.useFakeTimers(1000);
+      const client = new Eureka(makeConfig());
+      sinon.stub(request, 'post').yields(null, { statusCode: 204 }, null);
+      sinon.stub(request, 'delete').yields(null, { statusCode: 200 }, null);
+      client.register(() => {});
+      clock.tick(10000);
+      expect(client.getStatus()).to.include({
+        status: 'UP', registered: true, lastRenewal: 1000, leaseExpiresIn: 80000, leaseAtRisk: false,
+      });
+      client.deregister(() => {});
+      expect(client.getStatus().registered).to.be.false;
+      request.post.restore();
+      request.delete.restore();
+      clock.restore();
     });
   });
 
@@ -608,6 +1919,14 @@ describe('Eureka client', () => {
       expect(badConfig).to.throw(TypeError);
     });
 
+    it('should accept a secureVipAddress and securePort instead of vipAddress and port', () => {
+      delete config.instance.vipAddress;
+      delete config.instance.port;
+      config.instance.secureVipAddress = 'the.secure.vip';
+      config.instance.securePort = { $: 443, '@enabled': true };
+      expect(() => new Eureka(config)).to.not.throw();
+    });
+
     it('should throw an exception with a missing instance.dataCenterInfo', () => {
       function badConfig() {
         delete config.instance.dataCenterInfo;
@@ -616,6 +1935,22 @@ describe('Eureka client', () => {
       expect(badConfig).to.throw(TypeError);
     });
 
+    it('should throw an exception when waiting for readiness without a check', () => {
+      function badConfig() {
+        config.eureka.waitForReadiness = true;
+        return new Eureka(config);
+      }
+      expect(badConfig).to.throw(TypeError, /readinessCheck/);
+    });
+
+    it('should throw an exception with an invalid readinessCheck', () => {
+      function badConfig() {
+        config.readinessCheck = 'ready';
+        return new Eureka(config);
+      }
+      expect(badConfig).to.throw(TypeError, /readinessCheck/);
+    });
+
     it('should throw an exception with an invalid request middleware', () => {
       function badConfig() {
         config.requestMiddleware = 'invalid middleware';
@@ -633,51 +1968,379 @@ describe('Eureka client', () => {
       client = new Eureka(config);
     });
 
-    it('should throw an exception if no appId is provided', () => {
-      function noAppId() {
-        client.getInstancesByAppId();
-      }
-      expect(noAppId).to.throw(Error);
+    it('should throw an exception if no appId is provided', () => {
+      function noAppId() {
+        client.getInstancesByAppId();
+      }
+      expect(noAppId).to.throw(Error);
+    });
+
+    it('should return a list of instances if appId is registered', () => {
+      const appId = 'THESERVICENAME';
+      const expectedInstances = [{ host: '127.0.0.1' }];
+      client.cache.app[appId] = expectedInstances;
+      const actualInstances = client.getInstancesByAppId(appId);
+      expect(actualInstances).to.deep.equal(expectedInstances);
+      expect(actualInstances).to.not.equal(expectedInstances);
+      expect(Object.isFrozen(actualInstances)).to.equal(true);
+    });
+
+    it('should return empty array if no instances were found for given appId', () => {
+      expect(client.getInstancesByAppId('THESERVICENAME')).to.deep.equal([]);
+    });
+  });
+
+  describe('getInstancesByVipAddress()', () => {
+    let client;
+    let config;
+    beforeEach(() => {
+      config = makeConfig();
+      client = new Eureka(config);
+    });
+
+    it('should throw an exception if no vipAddress is provided', () => {
+      function noVipAddress() {
+        client.getInstancesByVipAddress();
+      }
+      expect(noVipAddress).to.throw(Error);
+    });
+
+    it('should return a list of instances if vipAddress is registered', () => {
+      const vipAddress = 'the.vip.address';
+      const expectedInstances = [{ host: '127.0.0.1' }];
+      client.cache.vip[vipAddress] = expectedInstances;
+      const actualInstances = client.getInstancesByVipAddress(vipAddress);
+      expect(actualInstances).to.deep.equal(expectedInstances);
+      expect(actualInstances).to.not.equal(expectedInstances);
+      expect(Object.isFrozen(actualInstances)).to.equal(true);
+    });
+
+    it('should return empty array if no instances were found for given vipAddress', () => {
+      expect(client.getInstancesByVipAddress('the.vip.address')).to.deep.equal([]);
+    });
+  });
+
+  describe('getInstancesBySecureVipAddress()', () => {
+    let client;
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+    });
+
+    it('should throw an exception if no secureVipAddress is provided', () => {
+      function noSecureVipAddress() {
+        client.getInstancesBySecureVipAddress();
+      }
+      expect(noSecureVipAddress).to.throw(RangeError);
+    });
+
+    it('should return a list of instances if secureVipAddress is registered', () => {
+      const instance = { instanceId: 'a', app: 'theapp', vipAddress: 'thevip', secureVipAddress: 'thesvip,othersvip' };
+      client.cache = new RegistryCache([instance]);
+      expect(client.getInstancesBySecureVipAddress('thesvip')).to.deep.equal([instance]);
+      expect(client.getInstancesBySecureVipAddress('othersvip')).to.deep.equal([instance]);
+    });
+
+    it('should return empty array if no instances were found for given secureVipAddress', () => {
+      expect(client.getInstancesBySecureVipAddress('thesvip')).to.deep.equal([]);
+    });
+  });
+
+  describe('queryInstances()', () => {
+    let client;
+    let canary;
+    let stable;
+    let down;
+    let secure;
+    function makeInstance(instanceId, fields) {
+      return merge({
+        instanceId,
+        app: 'THEAPP',
+        vipAddress: 'thevip',
+        status: 'UP',
+        port: { $: 8080 },
+        dataCenterInfo: { name: 'Amazon', metadata: { 'availability-zone': 'us-east-1a' } },
+      }, fields);
+    }
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+      canary = makeInstance('c', { metadata: { canary: 'true', weight: 1 } });
+      stable = makeInstance('b', { metadata: { canary: 'false' }, dataCenterInfo: { metadata: { 'availability-zone': 'us-east-1b' } } });
+      down = makeInstance('a', { status: 'DOWN', vipAddress: 'thevip,othervip', port: { $: 9090 } });
+      secure = makeInstance('d', { app: 'SECUREAPP', secureVipAddress: 'thesvip', securePort: { $: 8443 }, dataCenterInfo: { name: 'MyOwn' } });
+      delete secure.vipAddress;
+      client.cache = new RegistryCache([canary, stable, down, secure]);
+    });
+
+    it('should return all instances ordered by instance key', () => {
+      expect(client.queryInstances()).to.deep.equal([down, stable, canary, secure]);
+    });
+
+    it('should filter by app, vip and svip', () => {
+      expect(client.queryInstances({ app: 'theapp' })).to.deep.equal([down, stable, canary]);
+      expect(client.queryInstances({ vip: 'othervip' })).to.deep.equal([down]);
+      expect(client.queryInstances({ app: 'theapp', vip: 'othervip' })).to.deep.equal([down]);
+      expect(client.queryInstances({ app: 'secureapp', vip: 'thevip' })).to.deep.equal([]);
+      expect(client.queryInstances({ svip: 'thesvip' })).to.deep.equal([secure]);
+      expect(client.queryInstances({ app: 'otherapp' })).to.deep.equal([]);
+    });
+
+    it('should filter by status', () => {
+      expect(client.queryInstances({ status: 'DOWN' })).to.deep.equal([down]);
+      expect(client.queryInstances({ status: ['UP', 'DOWN'], app: 'theapp' })).to.have.length(3);
+    });
+
+    it('should filter by zone and data center', () => {
+      expect(client.queryInstances({ zone: 'us-east-1b' })).to.deep.equal([stable]);
+      expect(client.queryInstances({ dataCenter: 'MyOwn' })).to.deep.equal([secure]);
+    });
+
+    it('should filter by metadata', () => {
+      expect(client.queryInstances({ metadata: { canary: 'true' } })).to.deep.equal([canary]);
+      expect(client.queryInstances({ metadata: { canary: 'true', weight: '1' } })).to.deep.equal([canary]);
+      expect(client.queryInstances({ metadata: { canary: 'true', weight: '2' } })).to.deep.equal([]);
+      expect(client.queryInstances({ metadata: { missing: 'undefined' } })).to.deep.equal([]);
+    });
+
+    it('should filter by port and securePort', () => {
+      expect(client.queryInstances({ port: 9090 })).to.deep.equal([down]);
+      expect(client.queryInstances({ securePort: '8443' })).to.deep.equal([secure]);
+    });
+
+    it('should throw for unknown filters', () => {
+      expect(() => client.queryInstances({ vipAddress: 'thevip' })).to.throw(RangeError);
+    });
+  });
+
+  describe('getInstanceById()', () => {
+    it('should return the instance with the given instanceId', () => {
+      const client = new Eureka(makeConfig());
+      const instance = { instanceId: 'i-1', app: 'THEAPP' };
+      client.cache = new RegistryCache([instance]);
+      expect(client.getInstanceById('i-1')).to.equal(instance);
+      expect(client.getInstanceById('i-2')).to.be.undefined;
+      expect(() => client.getInstanceById()).to.throw(RangeError);
+    });
+  });
+
+  describe('getApplications()', () => {
+    it('should return the applications ordered by name', () => {
+      const client = new Eureka(makeConfig());
+      const instance1 = { instanceId: 'i-1', app: 'B' };
+      const instance2 = { instanceId: 'i-2', app: 'A' };
+      const instance3 = { instanceId: 'i-3', app: 'C' };
+      client.cache = new RegistryCache([instance1, instance2, instance3]);
+      client.cache.remove(instance3);
+      expect(client.getApplications()).to.deep.equal([
+        { name: 'A', instances: [instance2] },
+        { name: 'B', instances: [instance1] },
+      ]);
+    });
+  });
+
+  describe('chooseInstance()', () => {
+    let client;
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+      client.cache = {
+        app: { THEAPP: [{ hostName: 'a', status: 'UP' }, { hostName: 'b', status: 'UP' }] },
+        vip: { thevip: [{ hostName: 'c', status: 'UP' }, { hostName: 'd', status: 'UP' }] },
+      };
+    });
+
+    it('should choose instances by vipAddress', () => {
+      expect(client.chooseInstance('thevip').hostName).to.equal('c');
+      expect(client.chooseInstance('thevip').hostName).to.equal('d');
+    });
+
+    it('should choose instances by appId', () => {
+      expect(client.chooseInstanceByAppId('theapp').hostName).to.equal('a');
+      expect(client.chooseInstanceByAppId('theapp').hostName).to.equal('b');
+    });
+
+    it('should accept a strategy', () => {
+      sinon.stub(client.loadBalancer, 'randomNumber').returns(0.9);
+      const instance = client.chooseInstance('thevip', { strategy: 'random' });
+      expect(instance.hostName).to.equal('d');
+    });
+
+    it('should return undefined when no instances are found', () => {
+      expect(client.chooseInstance('othervip')).to.be.undefined;
+    });
+  });
+
+  describe('reportSuccess() / reportFailure()', () => {
+    let client;
+    let clock;
+    const instance = { instanceId: 'a', hostName: 'a', status: 'UP' };
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      client = new Eureka(makeConfig({
+        eureka: { outlierDetection: { consecutiveFailures: 2, baseEjectionTime: 1000 } },
+      }));
+      client.cache = {
+        app: {},
+        vip: { thevip: [instance, { instanceId: 'b', hostName: 'b', status: 'UP' }] },
+      };
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should emit instanceEjected and skip the instance when choosing', () => {
+      const ejected = sinon.spy();
+      const error = new Error('ECONNREFUSED');
+      client.on('instanceEjected', ejected);
+      client.reportFailure(instance, error);
+      expect(ejected).to.not.have.been.called;
+      client.reportFailure(instance, error);
+      expect(ejected).to.have.been.calledWithExactly({ instance, error, ejectionTime: 1000 });
+      expect(client.chooseInstance('thevip').hostName).to.equal('b');
+      expect(client.chooseInstance('thevip').hostName).to.equal('b');
+    });
+
+    it('should emit instanceRestored after a successful probe', () => {
+      const restored = sinon.spy();
+      client.on('instanceRestored', restored);
+      client.reportFailure(instance);
+      client.reportFailure(instance);
+      client.reportSuccess(instance);
+      expect(restored).to.not.have.been.called;
+      clock.tick(1000);
+      expect(client.chooseInstance('thevip').hostName).to.equal('a');
+      client.reportSuccess(instance);
+      expect(restored).to.have.been.calledWithExactly(instance);
+    });
+
+    it('should forget instances which leave the registry', () => {
+      client.reportFailure(instance);
+      client.reportFailure(instance);
+      client.emitRegistryChanges(indexInstances({ app: { THEAPP: [instance] } }));
+      expect(client.outlierDetector.isAvailable(instance)).to.be.true;
+    });
+  });
+
+  describe('request()', () => {
+    let client;
+    let instances;
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+      instances = [
+        { instanceId: 'a', hostName: 'a', status: 'UP', port: { $: 80 }, securePort: { $: 443 } },
+        { instanceId: 'b', hostName: 'b', status: 'UP', port: { $: 81 }, securePort: { $: 444 } },
+      ].map(instance => merge(instance, { app: 'theapp', vipAddress: 'thevip' }));
+      client.cache = new RegistryCache(instances);
+      sinon.spy(client, 'reportSuccess');
+      sinon.spy(client, 'reportFailure');
+    });
+
+    afterEach(() => {
+      if (request.Request.restore) request.Request.restore();
+    });
+
+    it('should resolve vip URLs to an instance', (done) => {
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 200 }, 'body');
+      client.request('http://vip/thevip/path?a=1', (error, response, body) => {
+        expect(error).to.be.null;
+        expect(body).to.equal('body');
+        expect(request.Request.args[0][0].uri).to.equal('http://a:80/path?a=1');
+        expect(client.reportSuccess).to.have.been.calledWithExactly(instances[0]);
+        done();
+      });
+    });
+
+    it('should use the securePort for https vip URLs', (done) => {
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 200 }, null);
+      client.request({ url: 'https://vip/thevip/path', json: true }, () => {
+        expect(request.Request).to.have.been.calledWithMatch({ uri: 'https://a:443/path', json: true, method: 'GET' });
+        done();
+      });
+    });
+
+    it('should resolve secure vip URLs by secureVipAddress', (done) => {
+      const secureInstance = {
+        instanceId: 'c', hostName: 'c', status: 'UP', app: 'secureapp', secureVipAddress: 'thesvip', securePort: { $: 8443 },
+      };
+      client.cache.add(secureInstance);
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 200 }, null);
+      client.request('https://vip/thesvip/path', () => {
+        expect(request.Request.args[0][0].uri).to.equal('https://c:8443/path');
+        done();
+      });
+    });
+
+    it('should resolve eureka URLs to an instance of the app', (done) => {
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 201 }, null);
+      client.request({ uri: 'eureka://theapp/path', method: 'POST' }, () => {
+        expect(request.Request).to.have.been.calledWithMatch({ uri: 'http://a:80/path', method: 'POST' });
+        done();
+      });
     });
 
-    it('should return a list of instances if appId is registered', () => {
-      const appId = 'THESERVICENAME';
-      const expectedInstances = [{ host: '127.0.0.1' }];
-      client.cache.app[appId] = expectedInstances;
-      const actualInstances = client.getInstancesByAppId(appId);
-      expect(actualInstances).to.equal(expectedInstances);
+    it('should send methods which request has no helper for', (done) => {
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 200 }, null);
+      client.request({ uri: 'http://vip/thevip/cache', method: 'purge' }, (error) => {
+        expect(error).to.be.null;
+        expect(request.Request).to.have.been.calledWithMatch({ uri: 'http://a:80/cache', method: 'PURGE' });
+        done();
+      });
     });
 
-    it('should return empty array if no instances were found for given appId', () => {
-      expect(client.getInstancesByAppId('THESERVICENAME')).to.deep.equal([]);
+    it('should retry idempotent requests on another instance', (done) => {
+      const error = new Error('ECONNREFUSED');
+      sinon.stub(request, 'Request');
+      request.Request.onCall(0).yieldsTo('callback', error);
+      request.Request.onCall(1).yieldsTo('callback', null, { statusCode: 200 }, null);
+      client.request('http://vip/thevip/', (err) => {
+        expect(err).to.be.null;
+        expect(request.Request.args[1][0].uri).to.equal('http://b:81/');
+        expect(client.reportFailure).to.have.been.calledWithExactly(instances[0], error);
+        expect(client.reportSuccess).to.have.been.calledWithExactly(instances[1]);
+        done();
+      });
     });
-  });
 
-  describe('getInstancesByVipAddress()', () => {
-    let client;
-    let config;
-    beforeEach(() => {
-      config = makeConfig();
-      client = new Eureka(config);
+    it('should return the last response once retries are exhausted', (done) => {
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 503 }, 'unavailable');
+      client.request({ uri: 'http://vip/thevip/', retries: 5 }, (error, response, body) => {
+        expect(error).to.be.null;
+        expect(response.statusCode).to.equal(503);
+        expect(body).to.equal('unavailable');
+        expect(request.Request).to.have.been.calledTwice;
+        expect(client.reportFailure).to.have.been.calledTwice;
+        done();
+      });
     });
 
-    it('should throw an exception if no vipAddress is provided', () => {
-      function noVipAddress() {
-        client.getInstancesByVipAddress();
-      }
-      expect(noVipAddress).to.throw(Error);
+    it('should not retry requests which are not idempotent', (done) => {
+      sinon.stub(request, 'Request').yieldsTo('callback', null, { statusCode: 500 }, null);
+      client.request({ uri: 'http://vip/thevip/', method: 'post' }, (error, response) => {
+        expect(response.statusCode).to.equal(500);
+        expect(request.Request).to.have.been.calledOnce;
+        done();
+      });
     });
 
-    it('should return a list of instances if vipAddress is registered', () => {
-      const vipAddress = 'the.vip.address';
-      const expectedInstances = [{ host: '127.0.0.1' }];
-      client.cache.vip[vipAddress] = expectedInstances;
-      const actualInstances = client.getInstancesByVipAddress(vipAddress);
-      expect(actualInstances).to.equal(expectedInstances);
+    it('should return an error when no instances are available', (done) => {
+      client.request('eureka://otherapp/', (error) => {
+        expect(error.message).to.equal('No UP instances available for appId: OTHERAPP');
+        done();
+      });
     });
 
-    it('should return empty array if no instances were found for given vipAddress', () => {
-      expect(client.getInstancesByVipAddress('the.vip.address')).to.deep.equal([]);
+    it('should throw for URLs which do not address a service', () => {
+      function fn() {
+        client.request('http://example.com/', () => {});
+      }
+      expect(fn).to.throw(RangeError);
+    });
+
+    it('should return a promise resolving with the response', () => {
+      const response = { statusCode: 200 };
+      sinon.stub(request, 'Request').yieldsTo('callback', null, response, null);
+      return client.request('http://vip/thevip/').then((result) => {
+        expect(result).to.equal(response);
+      });
     });
   });
 
@@ -792,6 +2455,630 @@ describe('Eureka client', () => {
 
       expect(registryCb).to.have.been.calledWith(new SyntaxError());
     });
+
+    it('should resolve the Promise when no callback is provided', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, null);
+      return client.fetchRegistry().then(() => {
+        expect(client.transformRegistry).to.have.been.calledOnce;
+      });
+    });
+
+    it('should reject the Promise for delta request error', () => {
+      sinon.stub(request, 'get').yields(new Error('request error'), null, null);
+      client.config.shouldUseDelta = true;
+      client.hasFullRegistry = true;
+      return client.fetchRegistry().then(() => {
+        throw new Error('should not resolve');
+      }, (error) => {
+        expect(error.message).to.equal('request error');
+      });
+    });
+  });
+
+  describe('registry change events', () => {
+    let client;
+    let instance1;
+    let instance2;
+    function registryBody(...instances) {
+      return JSON.stringify({
+        applications: { application: [{ name: 'THEAPP', instance: instances }] },
+      });
+    }
+    beforeEach(() => {
+      client = new Eureka(makeConfig({ eureka: { filterUpInstances: false } }));
+      instance1 = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+      instance2 = { hostName: '127.0.0.2', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+    });
+
+    afterEach(() => {
+      request.get.restore();
+    });
+
+    it('should emit added, removed and status changed instances on full fetch', () => {
+      const stub = sinon.stub(request, 'get');
+      stub.onCall(0).yields(null, { statusCode: 200 }, registryBody(instance1));
+      stub.onCall(1).yields(null, { statusCode: 200 },
+        registryBody(merge({}, instance1, { status: 'DOWN' }), instance2));
+      stub.onCall(2).yields(null, { statusCode: 200 }, registryBody(instance2));
+      const addedSpy = sinon.spy();
+      const removedSpy = sinon.spy();
+      const statusSpy = sinon.spy();
+      const updatedSpy = sinon.spy();
+      client.on('instanceAdded', addedSpy);
+      client.on('instanceRemoved', removedSpy);
+      client.on('instanceStatusChanged', statusSpy);
+      client.on('registryUpdated', updatedSpy);
+
+      client.fetchRegistry(() => {});
+      expect(addedSpy).to.have.been.calledWithMatch({ app: 'THEAPP', vipAddress: 'thevip', instance: instance1 });
+      expect(updatedSpy.lastCall.args[0].added).to.have.length(1);
+
+      client.fetchRegistry(() => {});
+      expect(addedSpy).to.have.been.calledTwice;
+      expect(statusSpy).to.have.been.calledOnce;
+      expect(statusSpy).to.have.been.calledWithMatch({
+        app: 'THEAPP', instance: { hostName: '127.0.0.1', status: 'DOWN' }, previousStatus: 'UP',
+      });
+
+      client.fetchRegistry(() => {});
+      expect(removedSpy).to.have.been.calledOnce;
+      expect(removedSpy).to.have.been.calledWithMatch({ instance: { hostName: '127.0.0.1' } });
+      expect(updatedSpy).to.have.been.calledThrice;
+      expect(updatedSpy.lastCall.args[0]).to.have.keys('added', 'removed', 'statusChanged');
+    });
+
+    it('should emit changes on delta fetch', () => {
+      const stub = sinon.stub(request, 'get');
+      stub.onCall(0).yields(null, { statusCode: 200 }, registryBody(instance1));
+      stub.onCall(1).yields(null, { statusCode: 200 }, registryBody(
+        merge({}, instance1, { actionType: 'DELETED' }),
+        merge({}, instance2, { actionType: 'ADDED' })
+      ));
+      const addedSpy = sinon.spy();
+      const removedSpy = sinon.spy();
+      const updatedSpy = sinon.spy();
+      client.config.shouldUseDelta = true;
+      client.fetchRegistry(() => {});
+      client.on('instanceAdded', addedSpy);
+      client.on('instanceRemoved', removedSpy);
+      client.on('registryUpdated', updatedSpy);
+
+      client.fetchRegistry(() => {});
+      expect(stub.secondCall).to.have.been.calledWithMatch({ uri: 'delta' });
+      expect(addedSpy).to.have.been.calledWithMatch({ instance: { hostName: '127.0.0.2' } });
+      expect(removedSpy).to.have.been.calledWithMatch({ instance: { hostName: '127.0.0.1' } });
+      expect(updatedSpy).to.have.been.calledOnce;
+    });
+  });
+
+  describe('targeted registry fetch', () => {
+    let client;
+    let responses;
+    let instance1;
+    let instance2;
+    let instance3;
+    beforeEach(() => {
+      client = new Eureka(makeConfig({
+        shouldUseDelta: true,
+        eureka: { fetchApps: ['theapp'], fetchVips: ['thevip'], fetchSvips: ['thesvip'] },
+      }));
+      instance1 = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+      instance2 = { hostName: '127.0.0.2', port: { $: 1000 }, app: 'OTHERAPP', vipAddress: 'thevip', status: 'UP' };
+      instance3 = { hostName: '127.0.0.3', port: { $: 1000 }, app: 'SECUREAPP', secureVipAddress: 'thesvip', status: 'UP' };
+      responses = {
+        'apps/theapp': [null, { statusCode: 200 }, JSON.stringify({ application: { name: 'THEAPP', instance: instance1 } })],
+        'vips/thevip': [null, { statusCode: 200 }, JSON.stringify({
+          applications: {
+            application: [
+              { name: 'THEAPP', instance: [instance1] },
+              { name: 'OTHERAPP', instance: [instance2] },
+            ],
+          },
+        })],
+        'svips/thesvip': [null, { statusCode: 200 }, JSON.stringify({
+          applications: { application: { name: 'SECUREAPP', instance: instance3 } },
+        })],
+      };
+      sinon.stub(request, 'get', (opts, callback) => {
+        const target = opts.baseUrl.replace('http://127.0.0.1:9999/eureka/v2/', '') + opts.uri;
+        callback(...(responses[target] || [null, { statusCode: 500 }, null]));
+      });
+    });
+
+    afterEach(() => {
+      request.get.restore();
+    });
+
+    it('should fetch each app, vipAddress and secureVipAddress', () => {
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(request.get).to.have.been.calledThrice;
+      expect(request.get).to.not.have.been.calledWithMatch({ uri: '' });
+      expect(client.getInstancesByAppId('theapp')).to.deep.equal([instance1]);
+      expect(client.getInstancesByVipAddress('thevip')).to.deep.equal([instance1, instance2]);
+      expect(client.getInstancesBySecureVipAddress('thesvip')).to.deep.equal([instance3]);
+    });
+
+    it('should not fetch deltas', () => {
+      client.fetchRegistry(() => {});
+      client.fetchRegistry(() => {});
+      expect(request.get).to.not.have.been.calledWithMatch({ uri: 'delta' });
+      expect(request.get.callCount).to.equal(6);
+    });
+
+    it('should treat targets which are not found as empty', () => {
+      responses['svips/thesvip'] = [null, { statusCode: 404 }, null];
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(client.getInstancesBySecureVipAddress('thesvip')).to.deep.equal([]);
+    });
+
+    it('should return an error when a target cannot be fetched', () => {
+      responses['vips/thevip'] = [null, { statusCode: 500 }, null];
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(callback).to.have.been.calledWithMatch({
+        message: 'Unable to retrieve thevip from Eureka server',
+      });
+    });
+
+    it('should return an error when a target request fails', () => {
+      const error = new Error('request error');
+      responses['apps/theapp'] = [error];
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(callback).to.have.been.calledWithExactly(error);
+    });
+
+    it('should return an error for an invalid response body', () => {
+      responses['apps/theapp'] = [null, { statusCode: 200 }, '{'];
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(callback.args[0][0]).to.be.instanceof(SyntaxError);
+    });
+  });
+
+  describe('remote regions', () => {
+    let client;
+    let local;
+    let remote;
+    let other;
+    function inZone(hostName, zone, status = 'UP') {
+      return {
+        hostName,
+        port: { $: 1000 },
+        app: 'THEAPP',
+        vipAddress: 'thevip',
+        status,
+        dataCenterInfo: { name: 'Amazon', metadata: { 'availability-zone': zone } },
+      };
+    }
+    function registryBody(...instances) {
+      return JSON.stringify({ applications: { application: [{ name: 'THEAPP', instance: instances }] } });
+    }
+    beforeEach(() => {
+      client = new Eureka(makeConfig({
+        eureka: { ec2Region: 'us-east-1', fetchRemoteRegionsRegistry: 'us-west-2, eu-west-1', filterUpInstances: false },
+      }));
+      local = inZone('local', 'us-east-1a');
+      remote = inZone('remote', 'us-west-2b');
+      other = inZone('other', 'eu-west-1a');
+    });
+
+    afterEach(() => {
+      if (request.get.restore) request.get.restore();
+    });
+
+    it('should require an ec2Region', () => {
+      function badConfig() {
+        return new Eureka(makeConfig({ eureka: { fetchRemoteRegionsRegistry: ['us-west-2'] } }));
+      }
+      expect(badConfig).to.throw(TypeError, /ec2Region/);
+    });
+
+    it('should request the remote regions', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(local));
+      client.config.shouldUseDelta = true;
+      client.fetchRegistry(() => {});
+      client.fetchRegistry(() => {});
+      expect(request.get.firstCall).to.have.been.calledWithMatch({ uri: '', qs: { regions: 'us-west-2,eu-west-1' } });
+      expect(request.get.secondCall).to.have.been.calledWithMatch({ uri: 'delta', qs: { regions: 'us-west-2,eu-west-1' } });
+    });
+
+    it('should not request regions by default', () => {
+      client = new Eureka(makeConfig());
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(local));
+      client.fetchRegistry(() => {});
+      expect(request.get.firstCall.args[0].qs).to.be.undefined;
+    });
+
+    it('should tag instances with their region', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(local, remote,
+        { hostName: 'nozone', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP' }));
+      client.fetchRegistry(() => {});
+      expect(client.cache.values().map(instance => instance.region)).to.deep.equal(['us-east-1', 'us-west-2', 'us-east-1']);
+    });
+
+    it('should return instances of the local region by default', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(local, remote, other));
+      client.fetchRegistry(() => {});
+      expect(client.getInstancesByAppId('theapp').map(instance => instance.hostName)).to.deep.equal(['local']);
+      expect(client.getInstancesByVipAddress('thevip', { region: 'us-west-2' }).map(instance => instance.hostName)).to.deep.equal(['remote']);
+    });
+
+    it('should choose instances of the local region', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(local, remote, other));
+      client.fetchRegistry(() => {});
+      expect(client.chooseInstance('thevip').hostName).to.equal('local');
+      expect(client.chooseInstanceByAppId('theapp').hostName).to.equal('local');
+    });
+
+    it('should fall back to the first remote region with UP instances', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(
+        inZone('local', 'us-east-1a', 'DOWN'), inZone('remote', 'us-west-2b', 'DOWN'), other
+      ));
+      client.fetchRegistry(() => {});
+      expect(client.chooseInstance('thevip').hostName).to.equal('other');
+      expect(client.chooseInstanceByAppId('theapp').hostName).to.equal('other');
+    });
+
+    it('should choose instances of a given region', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(local, remote, other));
+      client.fetchRegistry(() => {});
+      expect(client.chooseInstance('thevip', { region: 'eu-west-1' }).hostName).to.equal('other');
+    });
+
+    it('should return undefined when no region has UP instances', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(inZone('local', 'us-east-1a', 'DOWN')));
+      client.fetchRegistry(() => {});
+      expect(client.chooseInstance('thevip')).to.be.undefined;
+    });
+  });
+
+  describe('registry snapshots', () => {
+    let client;
+    let file;
+    let clock;
+    const instance = { instanceId: 'a', hostName: 'a', app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+    function registryBody(...instances) {
+      return JSON.stringify({ applications: { application: [{ name: 'THEAPP', instance: instances }] } });
+    }
+    beforeEach(() => {
+      file = join(os.tmpdir(), `eureka-registry-${process.pid}-${Date.now()}.json`);
+      client = new Eureka(makeConfig({ eureka: { registryCacheFile: file, registerWithEureka: false } }));
+    });
+
+    afterEach(() => {
+      if (request.get.restore) request.get.restore();
+      if (clock) clock.restore();
+      clock = undefined;
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    it('should save a snapshot after each registry fetch', (done) => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(instance));
+      sinon.stub(client, 'saveRegistrySnapshot');
+      client.fetchRegistry(() => {
+        expect(client.saveRegistrySnapshot).to.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should not save a snapshot without a registryCacheFile', (done) => {
+      client = new Eureka(makeConfig());
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(instance));
+      sinon.stub(client, 'saveRegistrySnapshot');
+      client.fetchRegistry(() => {
+        expect(client.saveRegistrySnapshot).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('should write the cached instances and load them again', (done) => {
+      client.cache = new RegistryCache([instance]);
+      client.saveRegistrySnapshot((error) => {
+        expect(error).to.not.exist;
+        expect(fs.readdirSync(os.tmpdir()).filter(name => name.indexOf(`${file.split('/').pop()}.`) === 0)).to.deep.equal([]);
+        const other = new Eureka(makeConfig({ eureka: { registryCacheFile: file } }));
+        const loadedSpy = sinon.spy();
+        other.on('registrySnapshotLoaded', loadedSpy);
+        other.loadRegistrySnapshot(() => {
+          expect(other.getInstancesByVipAddress('thevip')).to.deep.equal([instance]);
+          expect(other.registryStale).to.equal(true);
+          expect(loadedSpy).to.have.been.calledOnce;
+          expect(loadedSpy.args[0][0]).to.be.at.least(0);
+          done();
+        });
+      });
+    });
+
+    it('should save again when a save is requested during a save', (done) => {
+      client.cache = new RegistryCache([instance]);
+      client.saveRegistrySnapshot(() => {});
+      client.cache = new RegistryCache([instance, merge({}, instance, { instanceId: 'b' })]);
+      client.saveRegistrySnapshot(() => {
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).instances).to.have.length(2);
+        done();
+      });
+    });
+
+    it('should report the age of the snapshot', (done) => {
+      fs.writeFileSync(file, JSON.stringify({ savedAt: 1000, instances: [instance] }));
+      clock = sinon.useFakeTimers(61000);
+      const loadedSpy = sinon.spy();
+      client.on('registrySnapshotLoaded', loadedSpy);
+      client.loadRegistrySnapshot(() => {
+        expect(loadedSpy).to.have.been.calledWithExactly(60000);
+        done();
+      });
+    });
+
+    it('should ignore a missing or invalid snapshot', (done) => {
+      client.loadRegistrySnapshot(() => {
+        expect(client.registryStale).to.equal(false);
+        fs.writeFileSync(file, '{');
+        client.loadRegistrySnapshot(() => {
+          expect(client.registryStale).to.equal(false);
+          done();
+        });
+      });
+    });
+
+    it('should ignore a snapshot without an instances array', (done) => {
+      const warnSpy = sinon.spy(client.logger, 'warn');
+      fs.writeFileSync(file, 'null');
+      client.loadRegistrySnapshot(() => {
+        expect(client.registryStale).to.equal(false);
+        fs.writeFileSync(file, JSON.stringify({ savedAt: Date.now(), instances: {} }));
+        client.loadRegistrySnapshot(() => {
+          expect(client.registryStale).to.equal(false);
+          expect(warnSpy).to.have.been.calledTwice;
+          warnSpy.restore();
+          done();
+        });
+      });
+    });
+
+    it('should start with the snapshot when the registry cannot be fetched', (done) => {
+      fs.writeFileSync(file, JSON.stringify({ savedAt: Date.now(), instances: [instance] }));
+      sinon.stub(request, 'get').yields(new Error('ECONNREFUSED'));
+      sinon.stub(client, 'startRegistryFetches');
+      client.start((error) => {
+        expect(error).to.not.exist;
+        expect(client.registryStale).to.equal(true);
+        expect(client.getInstancesByAppId('theapp')).to.deep.equal([instance]);
+        done();
+      });
+    });
+
+    it('should fail to start without a snapshot when the registry cannot be fetched', (done) => {
+      const error = new Error('ECONNREFUSED');
+      sinon.stub(request, 'get').yields(error);
+      sinon.stub(client, 'startRegistryFetches');
+      client.start((err) => {
+        expect(err).to.equal(error);
+        done();
+      });
+    });
+
+    it('should clear the stale flag after a registry fetch', (done) => {
+      fs.writeFileSync(file, JSON.stringify({ savedAt: Date.now(), instances: [instance] }));
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 }, registryBody(instance));
+      sinon.stub(client, 'startRegistryFetches');
+      sinon.stub(client, 'saveRegistrySnapshot');
+      client.start(() => {
+        expect(client.registryStale).to.equal(false);
+        done();
+      });
+    });
+  });
+
+  describe('registryVersion', () => {
+    let client;
+    let instance;
+    function registryBody(...instances) {
+      return JSON.stringify({ applications: { application: [{ name: 'THEAPP', instance: instances }] } });
+    }
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+      instance = {
+        instanceId: 'a', app: 'THEAPP', vipAddress: 'thevip', status: 'UP', lastUpdatedTimestamp: '1',
+      };
+      sinon.stub(request, 'get');
+    });
+
+    afterEach(() => {
+      request.get.restore();
+    });
+
+    it('should only change when instances change', () => {
+      request.get.yields(null, { statusCode: 200 }, registryBody(instance));
+      expect(client.registryVersion).to.equal(0);
+      client.fetchRegistry(() => {});
+      expect(client.registryVersion).to.equal(1);
+      client.fetchRegistry(() => {});
+      expect(client.registryVersion).to.equal(1);
+      request.get.yields(null, { statusCode: 200 }, registryBody(merge({}, instance, { lastUpdatedTimestamp: '2' })));
+      client.fetchRegistry(() => {});
+      expect(client.registryVersion).to.equal(2);
+      request.get.yields(null, { statusCode: 200 }, registryBody(instance, merge({}, instance, { instanceId: 'b' })));
+      client.fetchRegistry(() => {});
+      expect(client.registryVersion).to.equal(3);
+    });
+
+    it('should return frozen snapshots which are kept until the version changes', () => {
+      request.get.yields(null, { statusCode: 200 }, registryBody(instance));
+      client.fetchRegistry(() => {});
+      const instances = client.getInstancesByVipAddress('thevip');
+      expect(Object.isFrozen(instances)).to.equal(true);
+      expect(() => instances.push(instance)).to.throw(TypeError);
+      client.fetchRegistry(() => {});
+      expect(client.getInstancesByVipAddress('thevip')).to.equal(instances);
+
+      request.get.yields(null, { statusCode: 200 }, registryBody(instance, merge({}, instance, { instanceId: 'b' })));
+      client.fetchRegistry(() => {});
+      expect(client.getInstancesByVipAddress('thevip')).to.have.length(2);
+      expect(client.getInstancesByAppId('theapp')).to.have.length(2);
+      expect(instances).to.have.length(1);
+    });
+
+    it('should not change snapshots when deltas are applied', () => {
+      request.get.yields(null, { statusCode: 200 }, registryBody(instance, merge({}, instance, { instanceId: 'b' })));
+      client.fetchRegistry(() => {});
+      const instances = client.getInstancesByAppId('theapp');
+      client.handleDelta(client.cache, [{ instance: [merge({ actionType: 'DELETED' }, instance)] }]);
+      expect(instances).to.have.length(2);
+    });
+  });
+
+  describe('delta reconciliation', () => {
+    let client;
+    let instance1;
+    let instance2;
+    function deltaBody(hashCode, ...instances) {
+      return JSON.stringify({
+        applications: {
+          apps__hashcode: hashCode,
+          application: [{ name: 'THEAPP', instance: instances }],
+        },
+      });
+    }
+    beforeEach(() => {
+      client = new Eureka(makeConfig({ shouldUseDelta: true, eureka: { filterUpInstances: false } }));
+      instance1 = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+      instance2 = { hostName: '127.0.0.2', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'DOWN' };
+      client.cache = new RegistryCache([instance1]);
+      client.hasFullRegistry = true;
+      sinon.stub(client, 'fetchFullRegistry').yields(null);
+    });
+
+    afterEach(() => {
+      request.get.restore();
+    });
+
+    it('should not fetch the full registry when the hash code matches', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 },
+        deltaBody('DOWN_1_UP_1_', merge({}, instance2, { actionType: 'ADDED' })));
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(client.fetchFullRegistry).to.not.have.been.called;
+      expect(client.hashCodeMismatches).to.equal(0);
+    });
+
+    it('should fetch the full registry when the hash code does not match', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 },
+        deltaBody('DOWN_1_UP_2_', merge({}, instance2, { actionType: 'ADDED' })));
+      const callback = sinon.spy();
+      client.fetchRegistry(callback);
+      expect(client.fetchFullRegistry).to.have.been.calledOnce;
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(client.hashCodeMismatches).to.equal(1);
+    });
+
+    it('should only compare UP instances when filterUpInstances is enabled', () => {
+      client.config.eureka.filterUpInstances = true;
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 },
+        deltaBody('DOWN_3_UP_1_', merge({}, instance2, { actionType: 'ADDED' })));
+      client.fetchRegistry(() => {});
+      expect(client.fetchFullRegistry).to.not.have.been.called;
+    });
+
+    it('should skip the check when no hash code is returned', () => {
+      sinon.stub(request, 'get').yields(null, { statusCode: 200 },
+        JSON.stringify({ applications: { application: [] } }));
+      client.fetchRegistry(() => {});
+      expect(client.fetchFullRegistry).to.not.have.been.called;
+    });
+  });
+
+  describe('watchApp() / watchVipAddress()', () => {
+    let client;
+    let instance1;
+    let instance2;
+    let otherInstance;
+    function updateRegistry(...instances) {
+      const previousInstances = indexInstances(client.cache);
+      client.transformRegistry({
+        applications: { application: { instance: instances } },
+      });
+      client.emitRegistryChanges(previousInstances);
+    }
+    beforeEach(() => {
+      client = new Eureka(makeConfig());
+      instance1 = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip,othervip', status: 'UP' };
+      instance2 = { hostName: '127.0.0.2', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP' };
+      otherInstance = { hostName: '127.0.0.3', port: { $: 1000 }, app: 'OTHERAPP', vipAddress: 'othervip', status: 'UP' };
+      updateRegistry(instance1);
+    });
+
+    it('should call the app listener immediately and on changes', () => {
+      const listener = sinon.spy();
+      client.watchApp('theapp', listener);
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.lastCall.args[0]).to.have.length(1);
+
+      updateRegistry(instance1, otherInstance);
+      expect(listener).to.have.been.calledOnce;
+
+      updateRegistry(instance1, instance2, otherInstance);
+      expect(listener).to.have.been.calledTwice;
+      expect(listener.lastCall.args[0]).to.have.length(2);
+    });
+
+    it('should call the vipAddress listener immediately and on changes', () => {
+      const listener = sinon.spy();
+      client.watchVipAddress('othervip', listener);
+      expect(listener.lastCall.args[0]).to.have.length(1);
+
+      updateRegistry(instance1, instance2);
+      expect(listener).to.have.been.calledOnce;
+
+      updateRegistry(instance1, instance2, otherInstance);
+      expect(listener).to.have.been.calledTwice;
+      expect(listener.lastCall.args[0]).to.have.length(2);
+    });
+
+    it('should pass snapshots which do not change with later deltas', () => {
+      const listener = sinon.spy();
+      client.watchVipAddress('thevip', listener);
+      const instances = listener.lastCall.args[0];
+      const previousInstances = indexInstances(client.cache);
+      client.handleDelta(client.cache, [{ instance: [merge({ actionType: 'ADDED' }, instance2)] }]);
+      client.emitRegistryChanges(previousInstances);
+      expect(listener).to.have.been.calledTwice;
+      expect(listener.lastCall.args[0]).to.have.length(2);
+      expect(instances).to.have.length(1);
+      expect(Object.isFrozen(instances)).to.be.true;
+    });
+
+    it('should stop calling the listener once unsubscribed', () => {
+      const listener = sinon.spy();
+      const unsubscribe = client.watchApp('theapp', listener);
+      unsubscribe();
+      updateRegistry(instance1, instance2);
+      expect(listener).to.have.been.calledOnce;
+    });
+
+    it('should return an async iterator without a listener', () => {
+      const iterator = client.watchVipAddress('thevip');
+      const initial = iterator.next();
+      const read = iterator.next();
+      updateRegistry(instance1, instance2);
+      return Promise.all([initial, read]).then((results) => {
+        expect(results[0].value).to.have.length(1);
+        expect(results[1].value).to.have.length(2);
+        iterator.return();
+        expect(client.listenerCount('registryUpdated')).to.equal(0);
+      });
+    });
+
+    it('should throw an exception if no appId or vipAddress is provided', () => {
+      expect(() => client.watchApp()).to.throw(RangeError);
+      expect(() => client.watchVipAddress()).to.throw(RangeError);
+    });
   });
 
   describe('transformRegistry()', () => {
@@ -884,7 +3171,7 @@ describe('Eureka client', () => {
       instance4 = { hostName: '127.0.0.6', port: 2000, vipAddress: void 0, app: 'theapp', status: 'UP' };
       downInstance = { hostName: '127.0.0.7', port: 2000, app: 'theapp', vipAddress: theVip, status: 'DOWN' };
       app = { name: 'theapp' };
-      cache = { app: {}, vip: {} };
+      cache = new RegistryCache();
     });
 
     it('should transform an app with one instance', () => {
@@ -918,6 +3205,13 @@ describe('Eureka client', () => {
       expect(cache.vip[multiVip.split(',')[1]].length).to.equal(1);
     });
 
+    it('should transform an app with one instance that has a secureVipAddress', () => {
+      app.instance = merge({ secureVipAddress: 'theSecureVip' }, instance1);
+      client.transformApp(app, cache);
+      expect(cache.vip[theVip].length).to.equal(1);
+      expect(cache.svip.theSecureVip.length).to.equal(1);
+    });
+
     it('should filter UP instances by default', () => {
       app.instance = [instance1, instance2, downInstance];
       client.transformApp(app, cache);
@@ -1142,6 +3436,14 @@ describe('Eureka client', () => {
       expect(client.cache.app.THEAPP).to.have.length(1);
     });
 
+    it('should index secureVipAddresses', () => {
+      const instance = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', secureVipAddress: 'thesvip', status: 'UP' };
+      client.handleDelta(client.cache, [{ instance: [merge({ actionType: 'ADDED' }, instance)] }]);
+      expect(client.cache.svip.thesvip).to.have.length(1);
+      client.handleDelta(client.cache, [{ instance: [merge({ actionType: 'DELETED' }, instance)] }]);
+      expect(client.cache.svip.thesvip).to.have.length(0);
+    });
+
     it('should handle duplicate instances on add', () => {
       const appDelta = [
         {
@@ -1166,10 +3468,7 @@ describe('Eureka client', () => {
         },
       ];
       const original = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP', actionType: 'MODIFIED' };
-      client.cache = {
-        app: { THEAPP: [original] },
-        vip: { thevip: [original] },
-      };
+      client.cache = new RegistryCache([original]);
 
       client.handleDelta(client.cache, appDelta);
       expect(client.cache.vip.thevip).to.have.length(1);
@@ -1187,10 +3486,7 @@ describe('Eureka client', () => {
         },
       ];
       const original = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP', actionType: 'MODIFIED' };
-      client.cache = {
-        app: { THEAPP: [original] },
-        vip: { thevip: [original] },
-      };
+      client.cache = new RegistryCache([original]);
 
       client.handleDelta(client.cache, appDelta);
       expect(client.cache.vip.thevip).to.have.length(1);
@@ -1224,10 +3520,7 @@ describe('Eureka client', () => {
         },
       ];
       const original = { hostName: '127.0.0.1', port: { $: 1000 }, app: 'THEAPP', vipAddress: 'thevip', status: 'UP', actionType: 'ADDED' };
-      client.cache = {
-        app: { THEAPP: [original] },
-        vip: { thevip: [original] },
-      };
+      client.cache = new RegistryCache([original]);
 
       client.handleDelta(client.cache, appDelta);
       expect(client.cache.vip.thevip).to.have.length(0);
@@ -1242,14 +3535,9 @@ describe('Eureka client', () => {
           ],
         },
       ];
-      client.cache = {
-        app: { THEAPP: [] },
-        vip: { thevip: [] },
-      };
-
       client.handleDelta(client.cache, appDelta);
-      expect(client.cache.vip.thevip).to.have.length(0);
-      expect(client.cache.app.THEAPP).to.have.length(0);
+      expect(client.cache.vip.thevip).to.be.undefined;
+      expect(client.cache.app.THEAPP).to.be.undefined;
     });
   });
 });
@@ -0,0 +1,106 @@
+/* eslint-disable no-unused-expressions */
+import sinon from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+
+import HealthChecks from '../src/HealthChecks';
+
+chai.use(sinonChai);
+
+describe('HealthChecks', () => {
+  let healthChecks;
+  beforeEach(() => {
+    healthChecks = new HealthChecks();
+  });
+
+  describe('add()', () => {
+    it('should add indicators by name', () => {
+      healthChecks.add('db', cb => cb(null, true));
+      healthChecks.add('cache', cb => cb(null, true));
+      expect(healthChecks.size).to.equal(2);
+    });
+
+    it('should throw an exception if the indicator is not a function', () => {
+      expect(() => healthChecks.add('db', true)).to.throw(TypeError);
+    });
+
+    it('should throw an exception if no name is provided', () => {
+      expect(() => healthChecks.add('', () => true)).to.throw(RangeError);
+    });
+  });
+
+  describe('remove()', () => {
+    it('should remove indicators by name', () => {
+      healthChecks.add('db', cb => cb(null, true));
+      healthChecks.remove('db');
+      expect(healthChecks.size).to.equal(0);
+    });
+  });
+
+  describe('run()', () => {
+    it('should report UP with no indicators', (done) => {
+      healthChecks.run((error, health) => {
+        expect(health).to.deep.equal({ status: 'UP', indicators: {} });
+        done();
+      });
+    });
+
+    it('should report UP when all indicators are UP', (done) => {
+      healthChecks.add('db', cb => cb(null, true));
+      healthChecks.add('cache', () => Promise.resolve({ status: 'UP', details: { hits: 1 } }));
+      healthChecks.run((error, health) => {
+        expect(health.status).to.equal('UP');
+        expect(health.indicators.db).to.deep.equal({ status: 'UP' });
+        expect(health.indicators.cache).to.deep.equal({ status: 'UP', details: { hits: 1 } });
+        done();
+      });
+    });
+
+    it('should report the most severe status', (done) => {
+      healthChecks.add('db', cb => cb(null, 'OUT_OF_SERVICE'));
+      healthChecks.add('cache', cb => cb(null, true));
+      healthChecks.run((error, health) => {
+        expect(health.status).to.equal('OUT_OF_SERVICE');
+        healthChecks.add('queue', cb => cb(null, false));
+        healthChecks.run((err, nextHealth) => {
+          expect(nextHealth.status).to.equal('DOWN');
+          done();
+        });
+      });
+    });
+
+    it('should report DOWN with error details when an indicator fails', (done) => {
+      healthChecks.add('db', () => Promise.reject(new Error('connection lost')));
+      healthChecks.run((error, health) => {
+        expect(health.status).to.equal('DOWN');
+        expect(health.indicators.db).to.deep.equal({
+          status: 'DOWN',
+          details: { error: 'connection lost' },
+        });
+        done();
+      });
+    });
+
+    it('should report DOWN for an unknown status', (done) => {
+      healthChecks.add('db', cb => cb(null, { status: 'SIDEWAYS' }));
+      healthChecks.run((error, health) => {
+        expect(health.status).to.equal('DOWN');
+        done();
+      });
+    });
+
+    it('should report DOWN when an indicator times out', () => {
+      const clock = sinon.useFakeTimers();
+      healthChecks = new HealthChecks(undefined, 1000);
+      healthChecks.add('db', () => {});
+      const runCb = sinon.spy();
+      healthChecks.run(runCb);
+      clock.tick(1000);
+      clock.restore();
+      expect(runCb).to.have.been.calledWithMatch(null, {
+        status: 'DOWN',
+        indicators: { db: { details: { error: 'health indicator timed out after 1000ms' } } },
+      });
+    });
+  });
+});
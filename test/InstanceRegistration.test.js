@@ -0,0 +1,284 @@
+/* eslint-disable no-unused-expressions, max-len */
+import sinon from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+
+import Eureka from '../src/EurekaClient';
+import InstanceRegistration from '../src/InstanceRegistration';
+
+chai.use(sinonChai);
+
+describe('InstanceRegistration', () => {
+  let client;
+  let registration;
+  beforeEach(() => {
+    client = new Eureka({
+      instance: {
+        app: 'gateway',
+        vipAddress: 'gateway',
+        hostName: 'myhost',
+        ipAddr: '10.0.0.1',
+        port: 8080,
+        dataCenterInfo: { name: 'MyOwn' },
+      },
+      eureka: { host: '127.0.0.1', port: 9999, maxRetries: 0, heartbeatInterval: 10000 },
+    });
+    sinon.stub(client, 'eurekaRequest');
+    registration = new InstanceRegistration(client, {
+      app: 'orders',
+      vipAddress: 'orders',
+      port: 8081,
+    });
+  });
+
+  describe('InstanceRegistration()', () => {
+    it('should default to the host of the client instance', () => {
+      expect(registration.instance).to.include({
+        app: 'orders',
+        hostName: 'myhost',
+        ipAddr: '10.0.0.1',
+        status: 'UP',
+        instanceId: 'myhost:orders:8081',
+      });
+      expect(registration.instance.dataCenterInfo).to.deep.equal({ name: 'MyOwn' });
+      expect(registration.instance.dataCenterInfo).to.not.equal(client.config.instance.dataCenterInfo);
+      expect(registration.instance.leaseInfo).to.deep.equal({
+        renewalIntervalInSecs: 10,
+        durationInSecs: 90,
+      });
+    });
+
+    it('should keep a configured instanceId', () => {
+      registration = new InstanceRegistration(client, {
+        app: 'orders', vipAddress: 'orders', securePort: { $: 8443 }, instanceId: 'orders-1',
+      });
+      expect(registration.instanceId).to.equal('orders-1');
+      expect(registration.uri).to.equal('orders/orders-1');
+    });
+
+    it('should use the secure port in the default instanceId', () => {
+      registration = new InstanceRegistration(client, {
+        app: 'orders', secureVipAddress: 'orders', securePort: { $: 8443 },
+      });
+      expect(registration.instanceId).to.equal('myhost:orders:8443');
+    });
+
+    it('should throw for missing instance config', () => {
+      expect(() => new InstanceRegistration(client, { vipAddress: 'orders', port: 8081 }))
+        .to.throw(TypeError, 'Missing "instance.app" config value.');
+      expect(() => new InstanceRegistration(client, { app: 'orders', port: 8081 }))
+        .to.throw(TypeError, 'Missing "instance.vipAddress" or "instance.secureVipAddress" config value.');
+      expect(() => new InstanceRegistration(client, { app: 'orders', vipAddress: 'orders' }))
+        .to.throw(TypeError, 'Missing "instance.port" or "instance.securePort" config value.');
+    });
+  });
+
+  describe('register()', () => {
+    it('should register the instance through the client', () => {
+      client.eurekaRequest.yields(null, { statusCode: 204 }, null);
+      const registered = sinon.spy();
+      registration.on('registered', registered);
+      const callback = sinon.spy();
+      registration.register(callback);
+      expect(client.eurekaRequest).to.have.been.calledWithMatch({
+        method: 'POST',
+        uri: 'orders',
+        body: { instance: { instanceId: 'myhost:orders:8081', port: 8081 } },
+      });
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(registered).to.have.been.calledOnce;
+      expect(registration.registered).to.be.true;
+    });
+
+    it('should fail for non-204 responses', () => {
+      client.eurekaRequest.yields(null, { statusCode: 500 }, null);
+      return registration.register().then(() => {
+        throw new Error('should not resolve');
+      }, (error) => {
+        expect(error.message).to.equal('eureka registration FAILED: status: 500 body: null');
+        expect(registration.registered).to.be.false;
+      });
+    });
+  });
+
+  describe('start()', () => {
+    let clock;
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      if (registration.heartbeat) registration.heartbeat.stop();
+      clock.restore();
+    });
+
+    it('should retry registration and then begin heartbeats', () => {
+      client.eurekaRequest.onCall(0).yields(new Error('unavailable'));
+      client.eurekaRequest.yields(null, { statusCode: 204 }, null);
+      const failed = sinon.spy();
+      registration.on('registrationFailed', failed);
+      const callback = sinon.spy();
+      registration.start(callback);
+      expect(failed).to.have.been.calledWithMatch({ attempt: 1 });
+      clock.tick(1000);
+      expect(callback).to.have.been.calledWithExactly(null);
+
+      client.eurekaRequest.yields(null, { statusCode: 200 }, null);
+      const heartbeat = sinon.spy();
+      registration.on('heartbeat', heartbeat);
+      clock.tick(10000);
+      expect(heartbeat).to.have.been.calledOnce;
+      expect(client.eurekaRequest.lastCall).to.have.been.calledWithMatch({
+        method: 'PUT', uri: 'orders/myhost:orders:8081',
+      });
+    });
+
+    it('should fail after maxRegistrationAttempts', () => {
+      client.config.eureka.maxRegistrationAttempts = 1;
+      client.eurekaRequest.yields(new Error('unavailable'));
+      const callback = sinon.spy();
+      registration.start(callback);
+      expect(callback).to.have.been.calledWithMatch({ message: 'unavailable' });
+      expect(registration.heartbeat).to.not.exist;
+    });
+  });
+
+  describe('renew()', () => {
+    it('should track failed heartbeats', () => {
+      client.eurekaRequest.yields(null, { statusCode: 500 }, 'unavailable');
+      const failed = sinon.spy();
+      registration.on('heartbeatFailed', failed);
+      const callback = sinon.spy();
+      registration.renew(callback);
+      registration.renew();
+      expect(failed.secondCall).to.have.been.calledWithMatch({ consecutiveFailures: 2, statusCode: 500 });
+      expect(callback).to.have.been.calledWithMatch({
+        message: 'eureka heartbeat FAILED: status: 500 body: unavailable',
+      });
+      expect(registration.getStatus().heartbeatFailures).to.equal(2);
+    });
+
+    it('should re-register on 404', () => {
+      client.eurekaRequest.onCall(0).yields(null, { statusCode: 404 }, null);
+      client.eurekaRequest.onCall(1).yields(null, { statusCode: 204 }, null);
+      registration.renew();
+      expect(client.eurekaRequest.secondCall).to.have.been.calledWithMatch({ method: 'POST' });
+      expect(registration.registered).to.be.true;
+      expect(registration.heartbeatFailures).to.equal(0);
+    });
+
+    it('should emit leaseAtRisk like the client', () => {
+      const clock = sinon.useFakeTimers(1000);
+      client.eurekaRequest.yields(null, { statusCode: 204 }, null);
+      registration.register(() => {});
+      client.eurekaRequest.yields(null, { statusCode: 500 }, 'unavailable');
+      const atRisk = sinon.spy();
+      registration.on('leaseAtRisk', atRisk);
+      clock.tick(80000);
+      registration.renew();
+      expect(atRisk).to.have.been.calledWithExactly({
+        consecutiveFailures: 1, lastRenewal: 1000, leaseExpiresIn: 10000,
+      });
+      expect(registration.getStatus().leaseAtRisk).to.be.true;
+      clock.restore();
+    });
+
+    it('should re-apply pending metadata after re-registering', () => {
+      client.eurekaRequest.onCall(0).yields(null, { statusCode: 500 }, null);
+      client.eurekaRequest.onCall(1).yields(null, { statusCode: 404 }, null);
+      client.eurekaRequest.onCall(2).yields(null, { statusCode: 204 }, null);
+      client.eurekaRequest.onCall(3).yields(null, { statusCode: 200 }, null);
+      registration.updateMetadata('build', '2', () => {});
+      registration.renew();
+      expect(client.eurekaRequest.lastCall).to.have.been.calledWithMatch({
+        method: 'PUT', uri: 'orders/myhost:orders:8081/metadata', qs: { build: '2' },
+      });
+      expect(registration.instance.metadata).to.deep.equal({ build: '2' });
+      expect(registration.pendingMetadata).to.be.empty;
+    });
+  });
+
+  describe('setStatus()', () => {
+    it('should push a status override', () => {
+      client.eurekaRequest.yields(null, { statusCode: 200 }, null);
+      const changed = sinon.spy();
+      registration.on('statusChanged', changed);
+      return registration.setStatus('OUT_OF_SERVICE').then(() => {
+        expect(client.eurekaRequest).to.have.been.calledWithMatch({
+          method: 'PUT',
+          uri: 'orders/myhost:orders:8081/status',
+          qs: { value: 'OUT_OF_SERVICE' },
+        });
+        expect(changed).to.have.been.calledWithExactly('OUT_OF_SERVICE', 'UP');
+        expect(registration.getStatus().status).to.equal('OUT_OF_SERVICE');
+      });
+    });
+
+    it('should throw for invalid statuses', () => {
+      expect(() => registration.setStatus('GONE', () => {})).to.throw(RangeError);
+    });
+  });
+
+  describe('stop()', () => {
+    it('should stop heartbeats and deregister', () => {
+      const clock = sinon.useFakeTimers();
+      client.eurekaRequest.yields(null, { statusCode: 204 }, null);
+      registration.start(() => {});
+      client.eurekaRequest.yields(null, { statusCode: 200 }, null);
+      const callback = sinon.spy();
+      registration.stop(callback);
+      expect(client.eurekaRequest.lastCall).to.have.been.calledWithMatch({
+        method: 'DELETE', uri: 'orders/myhost:orders:8081',
+      });
+      expect(callback).to.have.been.calledWithExactly(null);
+      expect(registration.registered).to.be.false;
+      const calls = client.eurekaRequest.callCount;
+      clock.tick(60000);
+      expect(client.eurekaRequest.callCount).to.equal(calls);
+      clock.restore();
+    });
+
+    it('should end registration retries', () => {
+      const clock = sinon.useFakeTimers();
+      client.eurekaRequest.onCall(0).yields(new Error('unavailable'));
+      client.eurekaRequest.onCall(1).yields(null, { statusCode: 200 }, null);
+      const startCb = sinon.spy();
+      registration.start(startCb);
+      registration.stop(() => {});
+      expect(startCb).to.have.been.calledWithMatch({
+        message: 'registration of orders/myhost:orders:8081 stopped',
+      });
+      clock.tick(60000);
+      expect(client.eurekaRequest).to.have.been.calledTwice;
+      expect(registration.registering).to.be.false;
+      clock.restore();
+    });
+
+    it('should de-register again when an attempt in flight succeeds', () => {
+      const startCb = sinon.spy();
+      registration.start(startCb);
+      client.eurekaRequest.yields(null, { statusCode: 200 }, null);
+      registration.stop(() => {});
+      client.eurekaRequest.firstCall.args[1](null, { statusCode: 204 }, null);
+      expect(client.eurekaRequest.lastCall).to.have.been.calledWithMatch({
+        method: 'DELETE', uri: 'orders/myhost:orders:8081',
+      });
+      expect(client.eurekaRequest).to.have.been.calledThrice;
+      expect(startCb).to.have.been.calledWithMatch({
+        message: 'registration of orders/myhost:orders:8081 stopped',
+      });
+      expect(registration.heartbeat).to.not.exist;
+    });
+
+    it('should time out if eureka does not respond', () => {
+      const clock = sinon.useFakeTimers();
+      const callback = sinon.spy();
+      registration.deregister(callback);
+      clock.tick(5000);
+      expect(callback).to.have.been.calledWithMatch({
+        message: 'eureka deregistration timed out after 5000ms',
+      });
+      clock.restore();
+    });
+  });
+});
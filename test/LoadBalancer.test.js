@@ -0,0 +1,134 @@
+/* eslint-disable no-unused-expressions, max-len */
+import sinon from 'sinon';
+import { expect } from 'chai';
+import merge from 'lodash/merge';
+
+import LoadBalancer from '../src/LoadBalancer';
+
+function makeConfig(overrides = {}) {
+  const config = {
+    instance: {
+      dataCenterInfo: { name: 'Amazon', metadata: { 'availability-zone': 'us-east-1a' } },
+    },
+    eureka: { loadBalancerStrategy: 'roundRobin', loadBalancerWeightKey: 'weight' },
+  };
+  return merge({}, config, overrides);
+}
+
+function makeInstance(hostName, zone, metadata) {
+  return {
+    hostName,
+    status: 'UP',
+    metadata,
+    dataCenterInfo: { name: 'Amazon', metadata: { 'availability-zone': zone } },
+  };
+}
+
+describe('LoadBalancer', () => {
+  let loadBalancer;
+  let instances;
+  beforeEach(() => {
+    loadBalancer = new LoadBalancer(makeConfig());
+    instances = [
+      makeInstance('a', 'us-east-1a', { weight: '0' }),
+      makeInstance('b', 'us-east-1b', { weight: '3' }),
+      makeInstance('c', 'us-east-1b'),
+    ];
+  });
+
+  describe('choose()', () => {
+    it('should return undefined with no instances', () => {
+      expect(loadBalancer.choose('vip', [])).to.be.undefined;
+    });
+
+    it('should only choose UP instances', () => {
+      instances[0].status = 'DOWN';
+      instances[1].status = 'OUT_OF_SERVICE';
+      expect(loadBalancer.choose('vip', instances).hostName).to.equal('c');
+      expect(loadBalancer.choose('vip', instances).hostName).to.equal('c');
+    });
+
+    it('should throw an exception for an unknown strategy', () => {
+      expect(() => loadBalancer.choose('vip', instances, { strategy: 'magic' })).to.throw(RangeError);
+    });
+  });
+
+  describe('roundRobin', () => {
+    it('should cycle through instances per key', () => {
+      const chosen = [1, 2, 3, 4].map(() => loadBalancer.choose('vip', instances).hostName);
+      expect(chosen).to.deep.equal(['a', 'b', 'c', 'a']);
+      expect(loadBalancer.choose('other', instances).hostName).to.equal('a');
+    });
+  });
+
+  describe('random', () => {
+    it('should choose a random instance', () => {
+      sinon.stub(loadBalancer, 'randomNumber').returns(0.5);
+      expect(loadBalancer.choose('vip', instances, { strategy: 'random' }).hostName).to.equal('b');
+    });
+  });
+
+  describe('weighted', () => {
+    it('should choose instances by metadata weight', () => {
+      const random = sinon.stub(loadBalancer, 'randomNumber');
+      random.returns(0);
+      expect(loadBalancer.choose('vip', instances, { strategy: 'weighted' }).hostName).to.equal('b');
+      random.returns(0.74);
+      expect(loadBalancer.choose('vip', instances, { strategy: 'weighted' }).hostName).to.equal('b');
+      random.returns(0.76);
+      expect(loadBalancer.choose('vip', instances, { strategy: 'weighted' }).hostName).to.equal('c');
+    });
+
+    it('should support a custom weight key', () => {
+      instances[0].metadata = { capacity: '1' };
+      sinon.stub(loadBalancer, 'randomNumber').returns(0);
+      const options = { strategy: 'weighted', weightKey: 'capacity' };
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('a');
+    });
+  });
+
+  describe('zoneAffinity', () => {
+    it('should prefer instances in the same zone', () => {
+      const options = { strategy: 'zoneAffinity' };
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('a');
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('a');
+    });
+
+    it('should cycle through instances in a given zone', () => {
+      const options = { strategy: 'zoneAffinity', zone: 'us-east-1b' };
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('b');
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('c');
+    });
+
+    it('should fall back to all instances when none are in the same zone', () => {
+      const options = { strategy: 'zoneAffinity', zone: 'us-east-1c' };
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('a');
+      expect(loadBalancer.choose('vip', instances, options).hostName).to.equal('b');
+    });
+  });
+
+  describe('with an OutlierDetector', () => {
+    let outlierDetector;
+    beforeEach(() => {
+      outlierDetector = { isAvailable: sinon.stub().returns(true), markChosen: sinon.spy() };
+      loadBalancer = new LoadBalancer(makeConfig(), undefined, outlierDetector);
+    });
+
+    it('should skip unavailable instances', () => {
+      outlierDetector.isAvailable.withArgs(instances[0]).returns(false);
+      expect(loadBalancer.choose('vip', instances).hostName).to.equal('b');
+      expect(loadBalancer.choose('vip', instances).hostName).to.equal('c');
+      expect(loadBalancer.choose('vip', instances).hostName).to.equal('b');
+    });
+
+    it('should fall back to all instances when none are available', () => {
+      outlierDetector.isAvailable.returns(false);
+      expect(loadBalancer.choose('vip', instances).hostName).to.equal('a');
+    });
+
+    it('should mark the chosen instance', () => {
+      const chosen = loadBalancer.choose('vip', instances);
+      expect(outlierDetector.markChosen).to.have.been.calledWithExactly(chosen);
+    });
+  });
+});
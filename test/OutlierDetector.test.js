@@ -0,0 +1,131 @@
+/* eslint-disable no-unused-expressions */
+import sinon from 'sinon';
+import { expect } from 'chai';
+
+import OutlierDetector from '../src/OutlierDetector';
+
+function makeConfig() {
+  return {
+    eureka: {
+      outlierDetection: {
+        consecutiveFailures: 3,
+        errorRateThreshold: 0.5,
+        minimumRequests: 4,
+        windowSize: 6,
+        baseEjectionTime: 1000,
+        maxEjectionTime: 3000,
+      },
+    },
+  };
+}
+
+describe('OutlierDetector', () => {
+  let detector;
+  let clock;
+  const instance = { instanceId: 'a', hostName: 'a' };
+  beforeEach(() => {
+    clock = sinon.useFakeTimers();
+    detector = new OutlierDetector(makeConfig());
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  function failTimes(count) {
+    let ejectionTime = 0;
+    for (let i = 0; i < count; i++) {
+      ejectionTime = detector.reportFailure(instance);
+    }
+    return ejectionTime;
+  }
+
+  it('should treat unknown instances as available', () => {
+    expect(detector.isAvailable(instance)).to.be.true;
+  });
+
+  it('should eject an instance after consecutive failures', () => {
+    expect(failTimes(2)).to.equal(0);
+    expect(detector.isAvailable(instance)).to.be.true;
+    expect(detector.reportFailure(instance)).to.equal(1000);
+    expect(detector.isAvailable(instance)).to.be.false;
+  });
+
+  it('should reset consecutive failures after a success', () => {
+    detector.options.minimumRequests = 10;
+    failTimes(2);
+    detector.reportSuccess(instance);
+    expect(failTimes(2)).to.equal(0);
+    expect(detector.isAvailable(instance)).to.be.true;
+  });
+
+  it('should eject an instance when the error rate exceeds the threshold', () => {
+    detector.reportSuccess(instance);
+    detector.reportFailure(instance);
+    detector.reportSuccess(instance);
+    expect(detector.reportFailure(instance)).to.equal(1000);
+    expect(detector.isAvailable(instance)).to.be.false;
+  });
+
+  it('should only use the most recent outcomes for the error rate', () => {
+    for (let i = 0; i < 10; i++) detector.reportSuccess(instance);
+    detector.reportFailure(instance);
+    detector.reportSuccess(instance);
+    detector.reportFailure(instance);
+    detector.reportSuccess(instance);
+    expect(detector.reportFailure(instance)).to.equal(1000);
+  });
+
+  it('should let a single probe through once the ejection time has passed', () => {
+    failTimes(3);
+    clock.tick(1000);
+    expect(detector.isAvailable(instance)).to.be.true;
+    detector.markChosen(instance);
+    expect(detector.isAvailable(instance)).to.be.false;
+  });
+
+  it('should let another probe through when one does not report back', () => {
+    failTimes(3);
+    clock.tick(1000);
+    detector.markChosen(instance);
+    clock.tick(1000);
+    expect(detector.isAvailable(instance)).to.be.true;
+  });
+
+  it('should restore an instance after a successful probe', () => {
+    failTimes(3);
+    clock.tick(1000);
+    detector.markChosen(instance);
+    expect(detector.reportSuccess(instance)).to.be.true;
+    expect(detector.isAvailable(instance)).to.be.true;
+    expect(failTimes(2)).to.equal(0);
+  });
+
+  it('should not restore an instance before the ejection time has passed', () => {
+    failTimes(3);
+    expect(detector.reportSuccess(instance)).to.be.false;
+    expect(detector.isAvailable(instance)).to.be.false;
+  });
+
+  it('should double the ejection time after a failed probe up to the maximum', () => {
+    failTimes(3);
+    clock.tick(1000);
+    expect(detector.reportFailure(instance)).to.equal(2000);
+    expect(detector.isAvailable(instance)).to.be.false;
+    clock.tick(2000);
+    expect(detector.reportFailure(instance)).to.equal(3000);
+    clock.tick(3000);
+    expect(detector.reportFailure(instance)).to.equal(3000);
+  });
+
+  it('should ignore failures while an instance is ejected', () => {
+    failTimes(3);
+    expect(detector.reportFailure(instance)).to.equal(0);
+  });
+
+  it('should forget removed instances', () => {
+    failTimes(3);
+    detector.remove(instance);
+    expect(detector.isAvailable(instance)).to.be.true;
+  });
+});
@@ -0,0 +1,147 @@
+/* eslint-disable no-unused-expressions, max-len */
+import { expect } from 'chai';
+
+import RegistryCache from '../src/RegistryCache';
+
+// Deterministic pseudo random number generator (mulberry32), so failures can be reproduced:
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Returns the indices of a cache with sorted instance arrays and without empty arrays:
+function normalize(cache) {
+  const normalized = {};
+  ['app', 'vip', 'svip'].forEach((index) => {
+    normalized[index] = {};
+    Object.keys(cache[index]).forEach((group) => {
+      if (!cache[index][group].length) return;
+      normalized[index][group] = cache[index][group].map(instance => instance.instanceId).sort();
+    });
+  });
+  return normalized;
+}
+
+describe('RegistryCache', () => {
+  let cache;
+  let instance1;
+  let instance2;
+  beforeEach(() => {
+    cache = new RegistryCache();
+    instance1 = { instanceId: 'a', app: 'theapp', vipAddress: 'vip1,vip2', secureVipAddress: 'svip', status: 'UP' };
+    instance2 = { instanceId: 'b', app: 'theapp', vipAddress: 'vip1', status: 'UP' };
+  });
+
+  it('should index instances by app, vipAddress and secureVipAddress', () => {
+    cache.add(instance1);
+    cache.add(instance2);
+    expect(cache.app).to.deep.equal({ THEAPP: [instance1, instance2] });
+    expect(cache.vip).to.deep.equal({ vip1: [instance1, instance2], vip2: [instance1] });
+    expect(cache.svip).to.deep.equal({ svip: [instance1] });
+    expect(cache.size).to.equal(2);
+    expect(cache.get('a')).to.equal(instance1);
+    expect(cache.values()).to.deep.equal([instance1, instance2]);
+  });
+
+  it('should accept initial instances', () => {
+    cache = new RegistryCache([instance1, instance2]);
+    expect(cache.app.THEAPP).to.deep.equal([instance1, instance2]);
+  });
+
+  it('should key instances without an instanceId by hostName and port', () => {
+    cache.add({ hostName: 'host', port: { $: 80 }, app: 'theapp' });
+    cache.add({ hostName: 'host', port: { $: 81 }, app: 'theapp' });
+    cache.add({ hostName: 'host', port: { $: 80 }, app: 'theapp' });
+    expect(cache.app.THEAPP).to.have.length(2);
+    expect(cache.has({ hostName: 'host', port: { $: 81 } })).to.be.true;
+  });
+
+  it('should replace an instance in place', () => {
+    cache.add(instance1);
+    cache.add(instance2);
+    const modified = Object.assign({}, instance1, { status: 'DOWN' });
+    cache.add(modified);
+    expect(cache.app.THEAPP).to.deep.equal([modified, instance2]);
+    expect(cache.vip.vip1[0]).to.equal(modified);
+    expect(cache.get('a')).to.equal(modified);
+  });
+
+  it('should move an instance whose vipAddress changed', () => {
+    cache.add(instance1);
+    cache.add(instance2);
+    const modified = Object.assign({}, instance1, { vipAddress: 'vip3' });
+    cache.add(modified);
+    expect(cache.vip).to.deep.equal({ vip1: [instance2], vip2: [], vip3: [modified] });
+    expect(cache.app.THEAPP).to.have.members([modified, instance2]);
+  });
+
+  it('should remove instances', () => {
+    cache.add(instance1);
+    cache.add(instance2);
+    expect(cache.remove({ instanceId: 'a' })).to.be.true;
+    expect(cache.remove({ instanceId: 'a' })).to.be.false;
+    expect(cache.app.THEAPP).to.deep.equal([instance2]);
+    expect(cache.vip).to.deep.equal({ vip1: [instance2], vip2: [] });
+    expect(cache.has(instance1)).to.be.false;
+  });
+
+  it('should index an instance once when its vipAddress repeats', () => {
+    cache.add(Object.assign({}, instance2, { vipAddress: 'vip1,vip1' }));
+    expect(cache.vip.vip1).to.have.length(1);
+    cache.remove(instance2);
+    expect(cache.vip.vip1).to.have.length(0);
+  });
+
+  describe('compared to a full rebuild', () => {
+    const apps = ['APP1', 'app2', 'App3'];
+    const vipAddresses = [undefined, 'vip1', 'vip2', 'vip1,vip2', 'vip3,vip1'];
+
+    function randomInstance(random, id) {
+      const pick = values => values[Math.floor(random() * values.length)];
+      return {
+        instanceId: `i-${id}`,
+        app: pick(apps),
+        vipAddress: pick(vipAddresses),
+        secureVipAddress: pick(vipAddresses),
+        status: pick(['UP', 'DOWN']),
+      };
+    }
+
+    const seeds = [];
+    for (let seed = 1; seed <= 50; seed++) seeds.push(seed);
+
+    seeds.forEach((seed) => {
+      it(`should match after random changes (seed ${seed})`, () => {
+        const random = createRandom(seed);
+        const expected = {};
+        for (let change = 0; change < 200; change++) {
+          const id = Math.floor(random() * 30);
+          if (random() < 0.3) {
+            cache.remove({ instanceId: `i-${id}` });
+            delete expected[id];
+          } else {
+            const instance = randomInstance(random, id);
+            cache.add(instance);
+            expected[id] = instance;
+          }
+        }
+        const rebuilt = new RegistryCache(Object.keys(expected).map(id => expected[id]));
+        expect(normalize(cache)).to.deep.equal(normalize(rebuilt));
+        expect(cache.size).to.equal(rebuilt.size);
+        Object.keys(cache.positions).forEach((key) => {
+          const positions = cache.positions[key];
+          Object.keys(positions).forEach((index) => {
+            Object.keys(positions[index]).forEach((group) => {
+              expect(cache[index][group][positions[index][group]]).to.equal(cache.get(key));
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/* eslint-disable no-unused-expressions, max-len */
+import sinon from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import http from 'http';
+import request from 'request';
+
+import Sidecar from '../src/Sidecar';
+import RegistryCache from '../src/RegistryCache';
+
+chai.use(sinonChai);
+
+function makeConfig() {
+  return {
+    instance: {
+      app: 'pythonapp',
+      vipAddress: 'pythonapp',
+      hostName: 'myhost',
+      port: 5000,
+      healthCheckUrl: 'http://localhost:5000/health',
+      dataCenterInfo: { name: 'MyOwn' },
+    },
+    eureka: { host: '127.0.0.1', port: 9999, maxRetries: 0 },
+    sidecar: { port: 0 },
+  };
+}
+
+describe('Sidecar', () => {
+  describe('Sidecar()', () => {
+    it('should health check the application', () => {
+      const sidecar = new Sidecar(makeConfig());
+      expect(sidecar.client.healthChecks.size).to.equal(1);
+      expect(sidecar.config).to.deep.equal({ host: '127.0.0.1', port: 0 });
+    });
+
+    it('should not health check without a health check URL', () => {
+      const config = makeConfig();
+      delete config.instance.healthCheckUrl;
+      const sidecar = new Sidecar(config);
+      expect(sidecar.client.healthChecks.size).to.equal(0);
+    });
+  });
+
+  describe('checkHealth()', () => {
+    let sidecar;
+    beforeEach(() => {
+      sidecar = new Sidecar(makeConfig());
+      sinon.stub(request, 'get');
+    });
+
+    afterEach(() => {
+      request.get.restore();
+    });
+
+    it('should report UP for a 2xx response', () => {
+      request.get.yields(null, { statusCode: 204 });
+      const callback = sinon.spy();
+      sidecar.checkHealth('http://localhost:5000/health', callback);
+      expect(request.get).to.have.been.calledWithMatch({
+        url: 'http://localhost:5000/health',
+        timeout: 5000,
+      });
+      expect(callback).to.have.been.calledWithExactly(null, {
+        status: 'UP', details: { statusCode: 204 },
+      });
+    });
+
+    it('should report DOWN for other responses', () => {
+      request.get.yields(null, { statusCode: 503 });
+      const callback = sinon.spy();
+      sidecar.checkHealth('http://localhost:5000/health', callback);
+      expect(callback).to.have.been.calledWithMatch(null, { status: 'DOWN' });
+    });
+
+    it('should drive the instance status', () => {
+      request.get.yields(null, { statusCode: 503 });
+      const setStatus = sinon.stub(sidecar.client, 'setStatus').yields(null);
+      return sidecar.client.runHealthChecks().then(() => {
+        expect(setStatus).to.have.been.calledWith('DOWN');
+      });
+    });
+  });
+
+  describe('HTTP API', () => {
+    let sidecar;
+    function call(method, path) {
+      return new Promise((resolve, reject) => {
+        const req = http.request({
+          method, path, host: '127.0.0.1', port: sidecar.server.address().port,
+        }, (res) => {
+          let body = '';
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.end();
+      });
+    }
+
+    beforeEach(() => {
+      sidecar = new Sidecar(makeConfig());
+      sinon.stub(sidecar.client, 'start').yields(null);
+      sinon.stub(sidecar.client, 'stop').yields(null);
+      sidecar.client.cache = new RegistryCache([
+        {
+          instanceId: 'a', app: 'GOAPP', vipAddress: 'goapp', hostName: 'a', status: 'UP',
+          port: { $: 8080, '@enabled': 'true' }, metadata: { version: '2' },
+        },
+        { instanceId: 'b', app: 'GOAPP', vipAddress: 'goapp', hostName: 'b', status: 'UP', port: 8081 },
+      ]);
+      return sidecar.start();
+    });
+
+    afterEach(() => {
+      sidecar.client.removeSignalHandlers();
+      return sidecar.stop();
+    });
+
+    it('should start the client once listening', () => {
+      expect(sidecar.client.start).to.have.been.calledOnce;
+      expect(process.listeners('SIGTERM')).to.include(sidecar.client.signalHandlers.SIGTERM);
+    });
+
+    it('should list the instances of a vipAddress', () => (
+      call('GET', '/hosts/goapp').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(200);
+        expect(body).to.deep.equal([
+          {
+            instanceId: 'a',
+            app: 'GOAPP',
+            hostName: 'a',
+            port: 8080,
+            status: 'UP',
+            url: 'http://a:8080',
+            metadata: { version: '2' },
+          },
+          {
+            instanceId: 'b', app: 'GOAPP', hostName: 'b', port: 8081, status: 'UP', url: 'http://b:8081', metadata: {},
+          },
+        ]);
+      })
+    ));
+
+    it('should list the instances of an app', () => (
+      call('GET', '/apps/goapp').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(200);
+        expect(body.map(instance => instance.instanceId)).to.deep.equal(['a', 'b']);
+      })
+    ));
+
+    it('should choose an instance', () => (
+      call('GET', '/instance/choose/goapp').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(200);
+        expect(body.instanceId).to.equal('a');
+        return call('GET', '/instance/choose/goapp');
+      }).then(({ body }) => {
+        expect(body.instanceId).to.equal('b');
+      })
+    ));
+
+    it('should respond with 404 when there is no instance to choose', () => (
+      call('GET', '/instance/choose/unknown').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(404);
+        expect(body.error).to.equal('No UP instances available for vipAddress: unknown');
+      })
+    ));
+
+    it('should report the client status', () => (
+      call('GET', '/status').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(200);
+        expect(body).to.include({ registered: false, heartbeatFailures: 0 });
+      })
+    ));
+
+    it('should override the instance status', () => {
+      const setStatus = sinon.stub(sidecar.client, 'setStatus').yields(null);
+      return call('PUT', '/status/OUT_OF_SERVICE').then(({ statusCode }) => {
+        expect(statusCode).to.equal(200);
+        expect(setStatus).to.have.been.calledWith('OUT_OF_SERVICE');
+      });
+    });
+
+    it('should reject invalid statuses', () => (
+      call('PUT', '/status/GONE').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(400);
+        expect(body.error).to.equal('Invalid instance status: GONE');
+      })
+    ));
+
+    it('should respond with 502 when eureka fails', () => {
+      sinon.stub(sidecar.client, 'clearStatusOverride').yields(new Error('unavailable'));
+      return call('DELETE', '/status').then(({ statusCode, body }) => {
+        expect(statusCode).to.equal(502);
+        expect(body.error).to.equal('unavailable');
+      });
+    });
+
+    it('should respond with 404 for unknown routes', () => (
+      call('GET', '/unknown').then(({ statusCode }) => {
+        expect(statusCode).to.equal(404);
+      })
+    ));
+
+    it('should respond with 400 for malformed paths', () => (
+      call('GET', '/hosts/%E0%A4%A').then(({ statusCode }) => {
+        expect(statusCode).to.equal(400);
+      })
+    ));
+  });
+});
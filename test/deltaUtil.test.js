@@ -1,5 +1,9 @@
+/* eslint-disable max-len */
 import { expect } from 'chai';
-import { arrayOrObj, findInstance, normalizeDelta } from '../src/deltaUtils';
+import {
+  arrayOrObj, normalizeDelta, instanceKey, indexInstances, indexCachedInstances, diffRegistry,
+  computeHashCode, parseHashCode, splitVipAddress, zoneToRegion, hasModifiedInstances,
+} from '../src/deltaUtils';
 
 describe('deltaUtils', () => {
   describe('arrayOrObj', () => {
@@ -12,18 +16,6 @@ describe('deltaUtils', () => {
       expect(arrayOrObj(obj)[0]).to.equal(obj);
     });
   });
-  describe('findInstance', () => {
-    it('should return true if objects match', () => {
-      const obj1 = { hostName: 'foo', port: { $: '6969' } };
-      const obj2 = { hostName: 'foo', port: { $: '6969' } };
-      expect(findInstance(obj1)(obj2)).to.equal(true);
-    });
-    it('should return false if objects do not match', () => {
-      const obj1 = { hostName: 'foo', port: { $: '6969' } };
-      const obj2 = { hostName: 'bar', port: { $: '1111' } };
-      expect(findInstance(obj1)(obj2)).to.equal(false);
-    });
-  });
   describe('normalizeDelta', () => {
     it('should normalize nested objs to arrays', () => {
       const delta = {
@@ -35,5 +27,91 @@ describe('deltaUtils', () => {
       expect(normalized).to.be.an('array');
       expect(normalized[0].instance).to.be.an('array');
     });
+    it('should return an empty array for an empty delta', () => {
+      expect(normalizeDelta(undefined)).to.deep.equal([]);
+    });
+  });
+  describe('instanceKey', () => {
+    it('should use the instanceId if present', () => {
+      expect(instanceKey({ instanceId: 'i-123', hostName: 'foo', port: { $: '6969' } })).to.equal('i-123');
+    });
+    it('should fall back to the hostName and port', () => {
+      expect(instanceKey({ hostName: 'foo', port: { $: '6969' } })).to.equal('foo:6969');
+      expect(instanceKey({ hostName: 'foo', port: 6969 })).to.equal('foo:6969');
+    });
+  });
+  describe('splitVipAddress', () => {
+    it('should split comma separated vipAddresses', () => {
+      expect(splitVipAddress('foo,bar')).to.deep.equal(['foo', 'bar']);
+      expect(splitVipAddress('foo')).to.deep.equal(['foo']);
+      expect(splitVipAddress(undefined)).to.deep.equal([]);
+    });
+  });
+  describe('indexInstances', () => {
+    it('should map all instances by key', () => {
+      const instance1 = { hostName: 'foo', port: { $: '1' } };
+      const instance2 = { hostName: 'bar', port: { $: '2' } };
+      const cache = { app: { FOO: [instance1], BAR: [instance2] }, vip: {} };
+      expect(indexInstances(cache)).to.deep.equal({ 'foo:1': instance1, 'bar:2': instance2 });
+    });
+  });
+  describe('indexCachedInstances', () => {
+    it('should map only the cached instances with the given keys', () => {
+      const instance1 = { hostName: 'foo', port: { $: '1' } };
+      const instance2 = { hostName: 'bar', port: { $: '2' } };
+      const cached = { 'foo:1': instance1, 'bar:2': instance2 };
+      const cache = { get: key => cached[key] };
+      expect(indexCachedInstances(cache, ['foo:1', 'baz:3'])).to.deep.equal({ 'foo:1': instance1 });
+    });
+  });
+  describe('diffRegistry', () => {
+    it('should return added, removed and status changed instances', () => {
+      const kept = { hostName: 'kept', port: { $: '1' }, app: 'APP', vipAddress: 'vip', status: 'UP' };
+      const removed = { hostName: 'removed', port: { $: '1' }, app: 'APP', vipAddress: 'vip', status: 'UP' };
+      const added = { hostName: 'added', port: { $: '1' }, app: 'APP', vipAddress: 'vip', status: 'UP' };
+      const before = { hostName: 'changed', port: { $: '1' }, app: 'APP', vipAddress: 'vip', status: 'UP' };
+      const after = { hostName: 'changed', port: { $: '1' }, app: 'APP', vipAddress: 'vip', status: 'DOWN' };
+      const changes = diffRegistry(
+        { 'kept:1': kept, 'removed:1': removed, 'changed:1': before },
+        { 'kept:1': kept, 'added:1': added, 'changed:1': after }
+      );
+      expect(changes).to.deep.equal({
+        added: [{ app: 'APP', vipAddress: 'vip', instance: added }],
+        removed: [{ app: 'APP', vipAddress: 'vip', instance: removed }],
+        statusChanged: [{ app: 'APP', vipAddress: 'vip', instance: after, previousStatus: 'UP' }],
+      });
+    });
+  });
+  describe('hasModifiedInstances', () => {
+    it('should compare the timestamps of instances in both indexes', () => {
+      const instance = { lastUpdatedTimestamp: '1', lastDirtyTimestamp: '1' };
+      expect(hasModifiedInstances({ a: instance }, { a: instance, b: { lastUpdatedTimestamp: '2' } })).to.equal(false);
+      expect(hasModifiedInstances({ a: instance }, { a: { lastUpdatedTimestamp: '2', lastDirtyTimestamp: '1' } })).to.equal(true);
+      expect(hasModifiedInstances({ a: instance }, { a: { lastUpdatedTimestamp: '1', lastDirtyTimestamp: '2' } })).to.equal(true);
+    });
+  });
+  describe('computeHashCode', () => {
+    it('should count instances by status in status order', () => {
+      const instances = [{ status: 'UP' }, { status: 'OUT_OF_SERVICE' }, { status: 'UP' }, { status: 'DOWN' }];
+      expect(computeHashCode(instances)).to.equal('DOWN_1_OUT_OF_SERVICE_1_UP_2_');
+    });
+    it('should return an empty string for no instances', () => {
+      expect(computeHashCode([])).to.equal('');
+    });
+  });
+  describe('parseHashCode', () => {
+    it('should return the count of each status', () => {
+      expect(parseHashCode('DOWN_1_OUT_OF_SERVICE_12_UP_2_')).to.deep.equal({ DOWN: 1, OUT_OF_SERVICE: 12, UP: 2 });
+      expect(parseHashCode('')).to.deep.equal({});
+    });
+  });
+  describe('zoneToRegion', () => {
+    it('should remove the zone letter', () => {
+      expect(zoneToRegion('us-east-1c')).to.equal('us-east-1');
+    });
+    it('should use the configured availability zones', () => {
+      expect(zoneToRegion('zone-a', { 'my-region': ['zone-b', 'zone-a'] })).to.equal('my-region');
+      expect(zoneToRegion('us-west-2a', { 'my-region': ['zone-a'] })).to.equal('us-west-2');
+    });
   });
 });
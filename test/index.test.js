@@ -1,7 +1,8 @@
 import { expect } from 'chai';
 
 import EurekaClient from '../src/EurekaClient';
-import EurekaDefault, { Eureka as EurekaNamed } from '../src/index';
+import Sidecar from '../src/Sidecar';
+import EurekaDefault, { Eureka as EurekaNamed, Sidecar as SidecarNamed } from '../src/index';
 
 // Compatibility with older node versions:
 const EurekaCommonjs = require('../src/index').Eureka;
@@ -12,6 +13,10 @@ describe('index', () => {
     expect(EurekaDefault).to.equal(EurekaNamed);
   });
 
+  it('should export the Sidecar', () => {
+    expect(SidecarNamed).to.equal(Sidecar);
+  });
+
   it('should export correctly for ', () => {
     expect(EurekaCommonjs).to.equal(EurekaDefault);
   });
@@ -0,0 +1,94 @@
+import { expect } from 'chai';
+import { toPromise, fromCallbackOrPromise, toAsyncIterator } from '../src/promiseUtils';
+
+describe('promiseUtils', () => {
+  describe('toPromise', () => {
+    it('should resolve with the callback result', () => (
+      toPromise(done => done(null, 'foo')).then((result) => {
+        expect(result).to.equal('foo');
+      })
+    ));
+    it('should reject with the callback error', () => {
+      const error = new Error('fail');
+      return toPromise(done => done(error)).then(() => {
+        throw new Error('should not resolve');
+      }, (err) => {
+        expect(err).to.equal(error);
+      });
+    });
+  });
+
+  describe('fromCallbackOrPromise', () => {
+    it('should pass through a callback result', (done) => {
+      fromCallbackOrPromise(cb => cb(null, 'foo'), (error, result) => {
+        expect(error).to.equal(null);
+        expect(result).to.equal('foo');
+        done();
+      });
+    });
+    it('should pass through a resolved Promise', (done) => {
+      fromCallbackOrPromise(() => Promise.resolve('foo'), (error, result) => {
+        expect(error).to.equal(null);
+        expect(result).to.equal('foo');
+        done();
+      });
+    });
+    it('should pass through a rejected Promise', (done) => {
+      const rejection = new Error('fail');
+      fromCallbackOrPromise(() => Promise.reject(rejection), (error) => {
+        expect(error).to.equal(rejection);
+        done();
+      });
+    });
+    it('should pass through a thrown error', (done) => {
+      const thrown = new Error('fail');
+      fromCallbackOrPromise(() => { throw thrown; }, (error) => {
+        expect(error).to.equal(thrown);
+        done();
+      });
+    });
+  });
+
+  describe('toAsyncIterator', () => {
+    let listener;
+    let unsubscribed;
+    let iterator;
+    beforeEach(() => {
+      unsubscribed = false;
+      iterator = toAsyncIterator((push) => {
+        listener = push;
+        return () => { unsubscribed = true; };
+      });
+    });
+
+    it('should be an async iterable', () => {
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+    });
+
+    it('should resolve pending reads with pushed values', () => {
+      const read = iterator.next();
+      listener('foo');
+      return read.then((result) => {
+        expect(result).to.deep.equal({ value: 'foo', done: false });
+      });
+    });
+
+    it('should keep only the latest unread value', () => {
+      listener('foo');
+      listener('bar');
+      return iterator.next().then((result) => {
+        expect(result).to.deep.equal({ value: 'bar', done: false });
+      });
+    });
+
+    it('should unsubscribe and finish on return', () => {
+      const read = iterator.next();
+      iterator.return();
+      expect(unsubscribed).to.equal(true);
+      return Promise.all([read, iterator.next()]).then((results) => {
+        expect(results[0].done).to.equal(true);
+        expect(results[1].done).to.equal(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/* eslint-disable no-unused-expressions */
+import { expect } from 'chai';
+import { parseServiceUrl, portValue, instanceBaseUrl } from '../src/serviceUrlUtils';
+
+describe('Service URL utils', () => {
+  describe('parseServiceUrl()', () => {
+    it('should parse vip URLs', () => {
+      expect(parseServiceUrl('http://vip/my-service-vip/path/to?a=1')).to.deep.equal({
+        protocol: 'http:', vipAddress: 'my-service-vip', path: '/path/to?a=1',
+      });
+    });
+
+    it('should parse secure vip URLs', () => {
+      expect(parseServiceUrl('https://vip/my-service-vip')).to.deep.equal({
+        protocol: 'https:', vipAddress: 'my-service-vip', path: '/',
+      });
+    });
+
+    it('should parse eureka URLs', () => {
+      expect(parseServiceUrl('eureka://MyApp/path?a=1')).to.deep.equal({
+        protocol: 'http:', appId: 'MYAPP', path: '/path?a=1',
+      });
+    });
+
+    it('should return undefined for other URLs', () => {
+      expect(parseServiceUrl('http://example.com/path')).to.be.undefined;
+      expect(parseServiceUrl('http://vip/')).to.be.undefined;
+      expect(parseServiceUrl('ftp://vip/my-service-vip')).to.be.undefined;
+      expect(parseServiceUrl(undefined)).to.be.undefined;
+    });
+  });
+
+  describe('portValue()', () => {
+    it('should return the port number', () => {
+      expect(portValue(8080)).to.equal(8080);
+      expect(portValue({ $: 8080, '@enabled': 'true' })).to.equal(8080);
+      expect(portValue({ $: '8443' })).to.equal(8443);
+      expect(portValue(undefined)).to.be.undefined;
+    });
+  });
+
+  describe('instanceBaseUrl()', () => {
+    const instance = { hostName: 'host', port: { $: 8080 }, securePort: { $: 8443 } };
+
+    it('should use the port for http', () => {
+      expect(instanceBaseUrl(instance, 'http:')).to.equal('http://host:8080');
+      expect(instanceBaseUrl(instance)).to.equal('http://host:8080');
+    });
+
+    it('should use the securePort for https', () => {
+      expect(instanceBaseUrl(instance, 'https:')).to.equal('https://host:8443');
+    });
+
+    it('should omit a missing port', () => {
+      expect(instanceBaseUrl({ hostName: 'host' }, 'https:')).to.equal('https://host');
+    });
+  });
+});
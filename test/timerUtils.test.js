@@ -0,0 +1,91 @@
+/* eslint-disable no-unused-expressions */
+import sinon from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import { jitter, repeat } from '../src/timerUtils';
+
+chai.use(sinonChai);
+
+describe('timerUtils', () => {
+  describe('jitter', () => {
+    it('should shorten the delay by up to the given ratio', () => {
+      for (let i = 0; i < 20; i++) {
+        expect(jitter(1000)).to.be.within(500, 1000);
+        expect(jitter(1000, 0.1)).to.be.within(900, 1000);
+      }
+      expect(jitter(1000, 0)).to.equal(1000);
+    });
+  });
+
+  describe('repeat', () => {
+    let clock;
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should call the task on interval', () => {
+      const task = sinon.spy(done => done());
+      const schedule = repeat(1000, 0, task);
+      clock.tick(999);
+      expect(task).to.not.have.been.called;
+      clock.tick(1);
+      expect(task).to.have.been.calledOnce;
+      clock.tick(2000);
+      expect(task).to.have.been.calledThrice;
+      schedule.stop();
+    });
+
+    it('should wait for the task to call back before scheduling the next call', () => {
+      const callbacks = [];
+      const task = sinon.spy(done => callbacks.push(done));
+      const schedule = repeat(1000, 0, task);
+      clock.tick(1999);
+      expect(task).to.have.been.calledOnce;
+      callbacks[0]();
+      callbacks[0]();
+      clock.tick(999);
+      expect(task).to.have.been.calledOnce;
+      clock.tick(1);
+      expect(task).to.have.been.calledTwice;
+      schedule.stop();
+    });
+
+    it('should schedule the next call when the task never calls back', () => {
+      const task = sinon.spy();
+      const schedule = repeat(1000, 0, task);
+      clock.tick(1000);
+      expect(task).to.have.been.calledOnce;
+      clock.tick(1999);
+      expect(task).to.have.been.calledOnce;
+      clock.tick(1);
+      expect(task).to.have.been.calledTwice;
+      clock.tick(2000);
+      expect(task).to.have.been.calledThrice;
+      schedule.stop();
+    });
+
+    it('should not call the task once stopped', () => {
+      const callbacks = [];
+      const task = sinon.spy(done => callbacks.push(done));
+      const schedule = repeat(1000, 0, task);
+      clock.tick(1000);
+      schedule.stop();
+      callbacks[0]();
+      clock.tick(5000);
+      expect(task).to.have.been.calledOnce;
+    });
+
+    it('should unref its timers', () => {
+      const unref = sinon.spy();
+      const setTimeoutStub = sinon.stub(global, 'setTimeout').returns({ unref });
+      const schedule = repeat(1000, 0, done => done());
+      setTimeoutStub.restore();
+      expect(unref).to.have.been.calledOnce;
+      schedule.stop();
+    });
+  });
+});